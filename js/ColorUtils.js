@@ -17,6 +17,13 @@ var ColorUtils = {};
 	 *
 	 * Generate a color half-way betwen two input colors.
 	 * Notably, this algorithm should work for rgb, hsl, and hsv.
+	 * CSS color strings are parsed into {r,g,b,a} first.
+	 *
+	 * If a space is specified, both colors are converted into 
+	 * it before blending and the result is converted back into 
+	 * the form of color1. Hues in cylindrical spaces (hsl, hsv, 
+	 * lch, oklch) are interpolated along the shorter arc. 
+	 * 'oklab' generally gives the most perceptually even results.
 	 *
 	 * Required: 
 	 *   [0] color1
@@ -25,13 +32,26 @@ var ColorUtils = {};
 	 * Optional: 
 	 *   [2] blending: [0, 1] weighted average from color1 to color2   
 	 *       Defaults to 0.5
+	 *   [3] space: 'rgb', 'linear-rgb', 'xyz', 'lab', 'lch', 
+	 *       'oklab', 'oklch', 'hsl', or 'hsv'
 	 *
 	 * Returns: color
 	 */
-	ColorUtils.average = function (color1, color2, blending) {
+	ColorUtils.average = function (color1, color2, blending, space) {
 		blending = (blending === undefined) ? 0.5 : blending;
 		blending = cutoff(blending, 0, 1);
 
+		if (typeof(color1) === 'string') {
+			color1 = ColorUtils.parse(color1);
+		}
+		if (typeof(color2) === 'string') {
+			color2 = ColorUtils.parse(color2);
+		}
+
+		if (space !== undefined) {
+			return interpolate(color1, color2, blending, space);
+		}
+
 		var color = {};
 		for (var key in color1) {
 			if (!color1.hasOwnProperty(key)) { continue; }
@@ -50,17 +70,17 @@ var ColorUtils = {};
 	 *
 	 * Required: 
 	 *   [0] degrees
-	 *   [1] color: { r, g, b } or { h, s, v }
+	 *   [1] color: { r, g, b }, { h, s, v }, or anything else ColorUtils.toHSV accepts
 	 * 
 	 * Returns: { r, g, b }
 	 */
 	ColorUtils.rotate = function (degrees, color) { 
-		if (color.r !== undefined) {
-			color = ColorUtils.RGBtoHSV(color.r, color.g, color.b);
-		}
+		var hsv = ColorUtils.toHSV(color); // n.b. doesn't modify its input
+
+		var h = (hsv.h + degrees) % 360;
+		h = (h < 0) ? h + 360 : h;
 
-		color.h += degrees;
-		return ColorUtils.HSVtoRGB(color.h, color.s, color.v);
+		return ColorUtils.HSVtoRGB(h, hsv.s, hsv.v);
 	};
 
 	/* brighten
@@ -70,7 +90,7 @@ var ColorUtils = {};
 	 *
 	 * Required:
 	 *	percent: [-100, 100]
-	 *  color: {r,g,b}
+	 *  color: {r,g,b} or a CSS color string
 	 *
 	 * Returns: {r,g,b} brightened
 	 */
@@ -92,23 +112,50 @@ var ColorUtils = {};
 	 * Given an RGB value, return a color
 	 * lightened by the given percentage.
 	 *
+	 * Negative percentages are treated as 0. To darken, 
+	 * use ColorUtils.Color's darken.
+	 *
 	 * Required:
 	 *	percent: [-100, 100]
-	 *  color: {r,g,b}
+	 *  color: {r,g,b} or a CSS color string
 	 *
 	 * Returns: {r,g,b} lightened
 	 */
 	ColorUtils.lighten = function (args) {
 		var color = args.color;
+		if (typeof(color) === 'string') {
+			color = ColorUtils.parse(color);
+		}
+
 		var hsl = ColorUtils.RGBtoHSL(color.r, color.g, color.b);
 		hsl.l += cutoff(args.percent / 100, 0, 1);
 
 		return ColorUtils.HSLtoRGB(hsl.h, hsl.s, hsl.l);		
 	};
 
+	/* saturate
+	 *
+	 * Given an RGB value, return a color
+	 * saturated (in HSL) by the given percentage.
+	 * Negative percentages desaturate.
+	 *
+	 * Required:
+	 *	percent: [-100, 100]
+	 *  color: {r,g,b} or a CSS color string
+	 *
+	 * Returns: {r,g,b} saturated
+	 */
+	ColorUtils.saturate = function (args) {
+		var hsl = ColorUtils.toHSL(args.color);
+		var s = cutoff(hsl.s + args.percent / 100, 0, 1);
+
+		return ColorUtils.HSLtoRGB(hsl.h, s, hsl.l);
+	};
+
 	/* toHSL
 	 *
 	 * Converts most color specifications to HSL.
+	 * See ColorUtils.convert for the tagged perceptual forms.
 	 *
 	 * Required: 
 	 *   [0] color
@@ -117,7 +164,11 @@ var ColorUtils = {};
 	 */
 	ColorUtils.toHSL = function (color) {
 		if (typeof(color) === 'string') {
-			color = ColorUtils.hexToRGB(color);
+			color = ColorUtils.parse(color);
+			return ColorUtils.RGBtoHSL(color.r, color.g, color.b);
+		}
+		else if (color.space !== undefined) {
+			color = ColorUtils.toRGB(color);
 			return ColorUtils.RGBtoHSL(color.r, color.g, color.b);
 		}
 		else if (color.r !== undefined) {
@@ -127,7 +178,7 @@ var ColorUtils = {};
 			return color;
 		}
 		else if (color.h !== undefined && color.v !== undefined) {
-			color = ColorUtils.HSVtoRGB(color.h, color.s, color.l);
+			color = ColorUtils.HSVtoRGB(color.h, color.s, color.v);
 			return ColorUtils.RGBtoHSL(color.r, color.g, color.b);
 		}
 		else {
@@ -138,7 +189,8 @@ var ColorUtils = {};
 	/* toHSV
 	 *
 	 * Given an arbitrary color format
-	 * e.g. hex string, {r,g,b}, {h,s,v}
+	 * e.g. CSS color string, {r,g,b}, {h,s,v}, 
+	 * or a tagged form like { space: 'oklab', l, a, b }
 	 * returns in {h,s,v} format.
 	 *
 	 * Required:
@@ -148,7 +200,11 @@ var ColorUtils = {};
 	 */
 	ColorUtils.toHSV = function (color) {
 		if (typeof(color) === 'string') {
-			color = ColorUtils.hexToRGB(color);
+			color = ColorUtils.parse(color);
+			return ColorUtils.RGBtoHSV(color.r, color.g, color.b);
+		}
+		else if (color.space !== undefined) {
+			color = ColorUtils.toRGB(color);
 			return ColorUtils.RGBtoHSV(color.r, color.g, color.b);
 		}
 		else if (color.r !== undefined) {
@@ -191,7 +247,9 @@ var ColorUtils = {};
 		var min = Math.min(r, g, b); // M
 		var max = Math.max(r, g, b); // m
 		hsl.l = (min + max) / 2 / 255;
-		hsl.s = (max - min) / 255 / (1 - Math.abs(2 * hsl.l - 1));
+		hsl.s = (max === min) 
+			? 0 // gray, also avoids 0 / 0 for black and white
+			: (max - min) / 255 / (1 - Math.abs(2 * hsl.l - 1));
 
 		return hsl;
 	};
@@ -353,86 +411,5082 @@ var ColorUtils = {};
 		return { r: rgb1[0] + m, g: rgb1[1] + m, b: rgb1[2] + m };
 	};
 
-	/* hexToRGB
+	/* convert
 	 *
-	 * Given an HTML hex string like #B5DFEB,
-	 * convert to an RGB representation.
+	 * Converts between any two supported color forms.
+	 * sRGB, HSL, and HSV keep their historical untagged shapes.
+	 * The others are tagged with their space since their 
+	 * keys overlap (e.g. lab and oklab).
+	 *
+	 *   'rgb':        { r, g, b } r,g,b in [0, 255]
+	 *   'hsl':        { h, s, l } 
+	 *   'hsv':        { h, s, v } 
+	 *   'linear-rgb': { space, r, g, b } gamma removed, in [0, 1]
+	 *   'xyz':        { space, x, y, z } CIE XYZ, D65 white, y in [0, 1]
+	 *   'lab':        { space, l, a, b } CIE Lab, D50 white (as in CSS), l in [0, 100]
+	 *   'lch':        { space, l, c, h } cylindrical Lab, h in degrees
+	 *   'oklab':      { space, l, a, b } Björn Ottosson's OKLab, l in [0, 1]
+	 *   'oklch':      { space, l, c, h } cylindrical OKLab, h in degrees
+	 *   'display-p3': { space, r, g, b } gamma encoded Display P3, in [0, 1]
+	 *   'rec2020':    { space, r, g, b } gamma encoded Rec. 2020, in [0, 1]
+	 *
+	 * Alpha is carried across as 'a' on the untagged forms and
+	 * 'alpha' on the tagged forms.
+	 *
+	 * Colors outside the sRGB gamut are gamut mapped (see 
+	 * ColorUtils.toGamut) on their way into 'rgb', 'hsl', and 
+	 * 'hsv' rather than having each channel clipped. The other 
+	 * spaces can represent them as is.
 	 *
 	 * Required:
-	 *  [0] hexstring
+	 *   [0] color: any of the above or a CSS color string
+	 *   [1] space: the name of the target space
 	 *
-	 * Returns: { r, g, b }
+	 * Returns: color in the target space (a new object)
 	 */
-	ColorUtils.hexToRGB = function (hexstring) {
-		hexstring = hexstring.replace(/^#/, ''); // e.g. #ffffff
+	ColorUtils.convert = function (color, space) {
+		if (typeof(color) === 'string') {
+			color = parseColor(color);
+		}
 
-		var rhex = hexstring.substr(0, 2);
-		var ghex = hexstring.substr(2, 2);
-		var bhex = hexstring.substr(4, 2);
+		var source = spaceOf(color);
 
-		return {
-			r: parseInt(rhex, 16),
-			g: parseInt(ghex, 16),
-			b: parseInt(bhex, 16)
+		if (!SPACES[space]) {
+			throw space + " is not a known color space.";
+		}
+
+		var converted = (source === space)
+			? copy(color)
+			: SPACES[space].fromLinear(SPACES[source].toLinear(color));
+
+		var alpha = SPACES[source].tagged ? color.alpha : color.a;
+		if (alpha !== undefined) {
+			converted[SPACES[space].tagged ? 'alpha' : 'a'] = alpha;
+		}
+
+		return converted;
+	};
+
+	/* toRGB, toLinearRGB, toXYZ, toLab, toLCh, toOKLab, toOKLCh
+	 *
+	 * Shorthands for ColorUtils.convert(color, space).
+	 *
+	 * Required:
+	 *   [0] color
+	 *
+	 * Returns: color in the named space
+	 */
+	ColorUtils.toRGB = function (color) {
+		return ColorUtils.convert(color, 'rgb');
+	};
+
+	ColorUtils.toLinearRGB = function (color) {
+		return ColorUtils.convert(color, 'linear-rgb');
+	};
+
+	ColorUtils.toXYZ = function (color) {
+		return ColorUtils.convert(color, 'xyz');
+	};
+
+	ColorUtils.toLab = function (color) {
+		return ColorUtils.convert(color, 'lab');
+	};
+
+	ColorUtils.toLCh = function (color) {
+		return ColorUtils.convert(color, 'lch');
+	};
+
+	ColorUtils.toOKLab = function (color) {
+		return ColorUtils.convert(color, 'oklab');
+	};
+
+	ColorUtils.toOKLCh = function (color) {
+		return ColorUtils.convert(color, 'oklch');
+	};
+
+	/* inGamut
+	 *
+	 * Whether a color can be shown as is on a display
+	 * covering the given gamut.
+	 *
+	 * e.g. ColorUtils.inGamut('color(display-p3 1 0 0)') => false
+	 *      ColorUtils.inGamut('color(display-p3 1 0 0)', 'display-p3') => true
+	 *
+	 * Required:
+	 *   [0] color: anything ColorUtils.convert understands
+	 *
+	 * Optional:
+	 *   [1] gamut: 'rgb' (sRGB, default), 'display-p3', or 'rec2020'
+	 *
+	 * Returns: boolean
+	 */
+	ColorUtils.inGamut = function (color, gamut) {
+		gamut = gamut || 'rgb';
+
+		if (!GAMUTS.hasOwnProperty(gamut)) {
+			throw gamut + " is not a known gamut.";
+		}
+
+		return withinGamut(ColorUtils.toLinearRGB(color), gamut);
+	};
+
+	/* toGamut
+	 *
+	 * Brings a color inside a gamut using the CSS Color Level 4 
+	 * gamut mapping algorithm, which lowers chroma in OKLCh 
+	 * while keeping lightness and hue. Vivid wide gamut colors 
+	 * thereby degrade into the most similar displayable color 
+	 * instead of having each channel clipped, which can shift 
+	 * hue noticeably.
+	 *
+	 * Required:
+	 *   [0] color: anything ColorUtils.convert understands
+	 *
+	 * Optional:
+	 *   [1] gamut: 'rgb' (sRGB, default), 'display-p3', or 'rec2020'
+	 *
+	 * Returns: the color in the space of the same name as the gamut
+	 */
+	ColorUtils.toGamut = function (color, gamut) {
+		gamut = gamut || 'rgb';
+
+		if (!GAMUTS.hasOwnProperty(gamut)) {
+			throw gamut + " is not a known gamut.";
+		}
+
+		var linear = ColorUtils.toLinearRGB(color);
+		var mapped = gamutMap(linear, gamut);
+		mapped.alpha = linear.alpha;
+
+		return ColorUtils.convert(mapped, gamut);
+	};
+
+	/* RGBtoLinearRGB
+	 *
+	 * Removes the sRGB transfer function ("gamma").
+	 * Light intensities add linearly in this space.
+	 *
+	 * Required:
+	 *   [0-2] r, g, b: [0, 255]
+	 *
+	 * Returns: { space: 'linear-rgb', r, g, b } in [0, 1]
+	 */
+	ColorUtils.RGBtoLinearRGB = function (r, g, b) {
+		return { 
+			space: 'linear-rgb', 
+			r: linearizeChannel(r), 
+			g: linearizeChannel(g), 
+			b: linearizeChannel(b) 
 		};
 	};
 
-	/* rgbToHex
+	/* LinearRGBtoRGB
 	 *
-	 * Takes {r,g,b} or {r,g,b,a} and returns
-	 * a CSS style hex string (e.g. #FF93B3)
+	 * Reapplies the sRGB transfer function.
 	 *
-	 * Required: {r,g,b}
+	 * Required:
+	 *   [0-2] r, g, b: [0, 1]
 	 *
-	 * Returns: "#FF93B3"
+	 * Returns: { r, g, b } in [0, 255] (not rounded)
 	 */
-	ColorUtils.rgbToHex = function (rgb) {
-		var hex = "#";
-		hex += Math.round(rgb.r).toString(16);
-		hex += Math.round(rgb.g).toString(16);
-		hex += Math.round(rgb.b).toString(16);
+	ColorUtils.LinearRGBtoRGB = function (r, g, b) {
+		return {
+			r: cutoff(255 * delinearize(r), 0, 255),
+			g: cutoff(255 * delinearize(g), 0, 255),
+			b: cutoff(255 * delinearize(b), 0, 255)
+		};
+	};
+
+	/* LinearRGBtoXYZ
+	 *
+	 * Required:
+	 *   [0-2] r, g, b: linear sRGB [0, 1]
+	 *
+	 * Returns: { space: 'xyz', x, y, z } (D65)
+	 */
+	ColorUtils.LinearRGBtoXYZ = function (r, g, b) {
+		var xyz = multiply(LINEAR_RGB_TO_XYZ, [ r, g, b ]);
+		return { space: 'xyz', x: xyz[0], y: xyz[1], z: xyz[2] };
+	};
 
-		return hex;
+	/* XYZtoLinearRGB
+	 *
+	 * Required:
+	 *   [0-2] x, y, z (D65)
+	 *
+	 * Returns: { space: 'linear-rgb', r, g, b } (may be out of [0, 1])
+	 */
+	ColorUtils.XYZtoLinearRGB = function (x, y, z) {
+		var rgb = multiply(XYZ_TO_LINEAR_RGB, [ x, y, z ]);
+		return { space: 'linear-rgb', r: rgb[0], g: rgb[1], b: rgb[2] };
 	};
 
-	/* parseRGBA
-	 * 
-	 * Parses 'rgba(2, 3, 4, 0.5)' and 'rgb(1, 3, 4)'.
-	 * If the input is rgb rather than rgba, a will
-	 * default to 1 in the output. 
+	/* XYZtoLab
+	 *
+	 * Converts D65 XYZ to CIE Lab. Like CSS, Lab is relative
+	 * to a D50 white so the XYZ is Bradford adapted first.
 	 *
 	 * Required:
-	 *  [0] spec: The color specification
+	 *   [0-2] x, y, z (D65)
 	 *
-	 * Returns: { r, g, b, a }
+	 * Returns: { space: 'lab', l, a, b }
 	 */
-	ColorUtils.parseRGBA = function (spec) {
-		spec = spec.replace(/\s+/g, '');
-		var matches = spec.match(/^rgba?\((\d+),(\d+),(\d+),?(\d+)?\)$/);
-		matches.splice(0, 1); // Remove the redundant first index
+	ColorUtils.XYZtoLab = function (x, y, z) {
+		var xyz = multiply(D65_TO_D50, [ x, y, z ]);
+
+		var f = function (t) {
+			return t > LAB_EPSILON 
+				? cbrt(t) 
+				: (LAB_KAPPA * t + 16) / 116;
+		};
+
+		var fx = f(xyz[0] / D50_WHITE[0]);
+		var fy = f(xyz[1] / D50_WHITE[1]);
+		var fz = f(xyz[2] / D50_WHITE[2]);
 
 		return {
-			r: matches[0],
-			g: matches[1],
-			b: matches[2],
-			a: (matches[3] || 1)
+			space: 'lab',
+			l: 116 * fy - 16,
+			a: 500 * (fx - fy),
+			b: 200 * (fy - fz)
 		};
 	};
 
-	/* cutoff
+	/* LabtoXYZ
 	 *
-	 * Bound a value between a minimum and maximum value.
+	 * Inverse of ColorUtils.XYZtoLab.
 	 *
-	 * Required: 
-	 *   [0] value: The number to evaluate
-	 *   [1] min: The minimum possible value
-	 *   [2] max: The maximum possible value
-	 * 
-	 * Returns: value if value in [min,max], min if less, max if more
+	 * Required:
+	 *   [0-2] l, a, b
+	 *
+	 * Returns: { space: 'xyz', x, y, z } (D65)
 	 */
-	function cutoff(value, min, max) {
-		return Math.max(Math.min(value, max), min);
-	}
+	ColorUtils.LabtoXYZ = function (l, a, b) {
+		var fy = (l + 16) / 116;
+		var fx = a / 500 + fy;
+		var fz = fy - b / 200;
+
+		var finv = function (t) {
+			var cube = t * t * t;
+			return cube > LAB_EPSILON 
+				? cube
+				: (116 * t - 16) / LAB_KAPPA;
+		};
+
+		var xyz = [
+			finv(fx) * D50_WHITE[0],
+			(l > LAB_KAPPA * LAB_EPSILON ? fy * fy * fy : l / LAB_KAPPA) * D50_WHITE[1],
+			finv(fz) * D50_WHITE[2]
+		];
+
+		xyz = multiply(D50_TO_D65, xyz);
+
+		return { space: 'xyz', x: xyz[0], y: xyz[1], z: xyz[2] };
+	};
+
+	/* LabtoLCh
+	 *
+	 * Converts Lab to its cylindrical form.
+	 *
+	 * Required:
+	 *   [0-2] l, a, b
+	 *
+	 * Returns: { space: 'lch', l, c, h } h in [0, 360)
+	 */
+	ColorUtils.LabtoLCh = function (l, a, b) {
+		var lch = toPolar(a, b);
+		return { space: 'lch', l: l, c: lch.c, h: lch.h };
+	};
+
+	/* LChtoLab
+	 *
+	 * Required:
+	 *   [0-2] l, c, h
+	 *
+	 * Returns: { space: 'lab', l, a, b }
+	 */
+	ColorUtils.LChtoLab = function (l, c, h) {
+		var lab = toCartesian(c, h);
+		return { space: 'lab', l: l, a: lab.a, b: lab.b };
+	};
+
+	/* LinearRGBtoOKLab
+	 *
+	 * Algorithm from: https://bottosson.github.io/posts/oklab/
+	 *
+	 * Required:
+	 *   [0-2] r, g, b: linear sRGB [0, 1]
+	 *
+	 * Returns: { space: 'oklab', l, a, b }
+	 */
+	ColorUtils.LinearRGBtoOKLab = function (r, g, b) {
+		var lms = multiply(LINEAR_RGB_TO_LMS, [ r, g, b ]).map(cbrt);
+		var lab = multiply(LMS_TO_OKLAB, lms);
+
+		return { space: 'oklab', l: lab[0], a: lab[1], b: lab[2] };
+	};
+
+	/* OKLabtoLinearRGB
+	 *
+	 * Required:
+	 *   [0-2] l, a, b
+	 *
+	 * Returns: { space: 'linear-rgb', r, g, b } (may be out of [0, 1])
+	 */
+	ColorUtils.OKLabtoLinearRGB = function (l, a, b) {
+		var lms = multiply(OKLAB_TO_LMS, [ l, a, b ]).map(function (x) {
+			return x * x * x;
+		});
+		var rgb = multiply(LMS_TO_LINEAR_RGB, lms);
+
+		return { space: 'linear-rgb', r: rgb[0], g: rgb[1], b: rgb[2] };
+	};
+
+	/* OKLabtoOKLCh
+	 *
+	 * Required:
+	 *   [0-2] l, a, b
+	 *
+	 * Returns: { space: 'oklch', l, c, h } h in [0, 360)
+	 */
+	ColorUtils.OKLabtoOKLCh = function (l, a, b) {
+		var lch = toPolar(a, b);
+		return { space: 'oklch', l: l, c: lch.c, h: lch.h };
+	};
+
+	/* OKLChtoOKLab
+	 *
+	 * Required:
+	 *   [0-2] l, c, h
+	 *
+	 * Returns: { space: 'oklab', l, a, b }
+	 */
+	ColorUtils.OKLChtoOKLab = function (l, c, h) {
+		var lab = toCartesian(c, h);
+		return { space: 'oklab', l: l, a: lab.a, b: lab.b };
+	};
+
+	/* palette
+	 *
+	 * Generates n colors that are as distinguishable from each 
+	 * other as possible. Candidates are laid out on a grid in 
+	 * OKLCh within the requested bounds and chosen greedily, 
+	 * each pick being the candidate farthest (in OKLab) from 
+	 * everything picked or excluded so far. 
+	 *
+	 * The result is deterministic for a given n and options.
+	 *
+	 * Required:
+	 *   [0] n: number of colors
+	 *
+	 * Optional:
+	 *   [1] options:
+	 *     lightness: [min, max] OKLab lightness in [0, 1] (default [0.4, 0.9])
+	 *     chroma: [min, max] OKLCh chroma (default [0.05, 0.3])
+	 *     exclude: array of colors to stay away from (e.g. the background)
+	 *
+	 * Returns: [ {r,g,b}, ... ] integer channels
+	 */
+	ColorUtils.palette = function (n, options) {
+		options = options || {};
+
+		var lightness = options.lightness || [ 0.4, 0.9 ];
+		var chroma = options.chroma || [ 0.05, 0.3 ];
+		var exclude = (options.exclude || []).map(ColorUtils.toOKLab);
+
+		var candidates = paletteCandidates(Math.max(2000, 10 * n), lightness, chroma);
+
+		var distances = candidates.map(function (candidate) {
+			var nearest = Infinity;
+			exclude.forEach(function (lab) {
+				nearest = Math.min(nearest, oklabDistance(candidate, lab));
+			});
+			return nearest;
+		});
+
+		var colors = [];
+		for (var count = 0; count < n; count++) {
+			var best = -1;
+			for (var i = 0; i < candidates.length; i++) {
+				if (distances[i] === Infinity && best !== -1 && distances[best] === Infinity) {
+					// Nothing chosen yet, start from the most saturated candidate
+					if (candidates[i].c > candidates[best].c) {
+						best = i;
+					}
+				}
+				else if (best === -1 || distances[i] > distances[best]) {
+					best = i;
+				}
+			}
+
+			if (best === -1 || distances[best] === 0) {
+				throw "Unable to generate " + n + " distinct colors within the given bounds.";
+			}
+
+			var chosen = candidates[best];
+			colors.push(roundRGB(ColorUtils.convert(chosen, 'rgb')));
+
+			for (i = 0; i < candidates.length; i++) {
+				distances[i] = Math.min(distances[i], oklabDistance(candidates[i], chosen));
+			}
+		}
+
+		return colors;
+	};
+
+	/* colorForId
+	 *
+	 * Deterministically maps a segment ID to a stable color.
+	 *
+	 * Hue steps around the color wheel by the golden ratio so 
+	 * that adjacent IDs are always at least ~137 degrees apart. 
+	 * Lightness and chroma are chosen by hashing the ID. The
+	 * hashing uses only 32 bit integer arithmetic, so every
+	 * browser picks the same OKLCh color. The conversion to
+	 * rgb is floating point though (Math.pow, Math.cos, etc
+	 * may differ in their last bits between engines), so in
+	 * rare cases a channel can round one step differently.
+	 *
+	 * Required:
+	 *   [0] id: non-negative integer or a decimal string 
+	 *       up to 64 bits (e.g. '18446744073709551615')
+	 *
+	 * Optional:
+	 *   [1] options:
+	 *     lightness: [min, max] OKLab lightness (default [0.55, 0.85])
+	 *     chroma: [min, max] OKLCh chroma (default [0.1, 0.2])
+	 *     seed: integer, use to get a different mapping for e.g. another layer
+	 *
+	 * Returns: {r,g,b} integer channels
+	 */
+	ColorUtils.colorForId = function (id, options) {
+		options = options || {};
+
+		var lightness = options.lightness || [ 0.55, 0.85 ];
+		var chroma = options.chroma || [ 0.1, 0.2 ];
+		var seed = (options.seed || 0) >>> 0;
+
+		var words = splitId(id);
+		var hi = words[0], lo = words[1];
+
+		var golden = (imul(lo, 0x9e3779b9) + imul(hi ^ seed, 0x7f4a7c15)) >>> 0;
+		var mixed = fmix32(lo ^ fmix32(hi ^ fmix32(seed)));
+
+		var h = golden / 4294967296 * 360;
+		var l = lightness[0] + (mixed & 0xffff) / 0xffff * (lightness[1] - lightness[0]);
+		var c = chroma[0] + (mixed >>> 16) / 0xffff * (chroma[1] - chroma[0]);
+
+		return roundRGB(ColorUtils.convert(fitChroma(l, c, h), 'rgb'));
+	};
+
+	/* scale
+	 *
+	 * Maps scalar data (probabilities, affinities, distances, etc)
+	 * onto colors. 
+	 *
+	 * e.g. 
+	 *   var heat = new ColorUtils.scale.Scale({ colors: 'magma', domain: [0, 255] });
+	 *   heat.color(128); // => {r,g,b,a}
+	 *
+	 *   var lut = heat.lut(); // 256 entry RGBA Uint8Array for per-pixel use
+	 *   var i = heat.index(value, 256);
+	 *   if (i !== -1) { // -1 means the value gets the outside color
+	 *     i *= 4; // lut[i], lut[i+1], ...
+	 *   }
+	 */
+	ColorUtils.scale = {};
+
+	/* colormaps
+	 *
+	 * Built in colormaps sampled at evenly spaced positions. 
+	 * viridis, magma, inferno, plasma, and cividis are perceptually 
+	 * uniform sequential maps. coolwarm, RdBu, and PuOr are diverging. 
+	 *
+	 * Add entries here to make your own maps available by name.
+	 */
+	ColorUtils.scale.colormaps = {
+		viridis: [ 
+			'#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c', 
+			'#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725' 
+		],
+		magma: [ 
+			'#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779', 
+			'#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf' 
+		],
+		inferno: [ 
+			'#000004', '#160b39', '#420a68', '#6a176e', '#932667', '#bc3754', 
+			'#dd513a', '#f37819', '#fca50a', '#f6d746', '#fcffa4' 
+		],
+		plasma: [ 
+			'#0d0887', '#41049d', '#6a00a8', '#8f0da4', '#b12a90', '#cc4778', 
+			'#e16462', '#f2844b', '#fca636', '#fcce25', '#f0f921' 
+		],
+		cividis: [ 
+			'#002051', '#0a326a', '#2b446e', '#4d566d', '#696970', '#7f7c75', 
+			'#948f78', '#ada476', '#caba6a', '#ead156', '#fdea45' 
+		],
+		greys: [ '#000000', '#ffffff' ],
+		coolwarm: [ 
+			'#3b4cc0', '#6788ee', '#9abbff', '#c9d7f0', '#dddddd', 
+			'#edd1c2', '#f7a889', '#e26952', '#b40426' 
+		],
+		RdBu: [ 
+			'#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', 
+			'#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061' 
+		],
+		PuOr: [ 
+			'#7f3b08', '#b35806', '#e08214', '#fdb863', '#fee0b6', '#f7f7f7', 
+			'#d8daeb', '#b2abd2', '#8073ac', '#542788', '#2d004b' 
+		]
+	};
+
+	/* Scale
+	 *
+	 * New this to create a color scale.
+	 *
+	 * Required:
+	 *   colors: name of a colormap (e.g. 'viridis') or an array 
+	 *     of colors in any form ColorUtils.convert understands
+	 *
+	 * Optional:
+	 *   positions: [0, 1] where each color sits along the scale, 
+	 *     ascending (default evenly spaced)
+	 *   domain: [min, max] or [min, mid, max] data values (default [0, 1])
+	 *     With three values, mid is pinned to the middle of the scale,
+	 *     which is what you want for diverging maps.
+	 *   symmetric: center the domain on zero, e.g. [-3, 5] => [-5, 0, 5]
+	 *   log: map the domain logarithmically (domain must be positive)
+	 *   clamp: clamp values outside the domain to its ends (default true)
+	 *     if false, they will receive the outside color
+	 *   outside: color for out of domain values and NaN 
+	 *     (default transparent)
+	 *   space: color space to interpolate in (see ColorUtils.average)
+	 *     defaults to 'rgb' for named colormaps (which were sampled in rgb) 
+	 *     and 'oklab' for custom gradients
+	 *
+	 * Returns: this (requires new)
+	 */
+	ColorUtils.scale.Scale = function (args) {
+		args = args || {};
+
+		var colors = args.colors;
+		var named = typeof(colors) === 'string';
+
+		if (named) {
+			if (!ColorUtils.scale.colormaps.hasOwnProperty(colors)) {
+				throw colors + " is not a known colormap.";
+			}
+			colors = ColorUtils.scale.colormaps[colors];
+		}
+
+		if (!colors || colors.length < 2) {
+			throw "A scale requires at least two colors.";
+		}
+
+		this.colors = colors.map(ColorUtils.toRGB).map(function (rgb) {
+			rgb.a = (rgb.a === undefined) ? 1 : rgb.a;
+			return rgb;
+		});
+
+		this.positions = args.positions || this.colors.map(function (color, index) {
+			return index / (colors.length - 1);
+		});
+
+		if (this.positions.length !== this.colors.length) {
+			throw "A scale requires exactly one position per color.";
+		}
+
+		for (var i = 1; i < this.positions.length; i++) {
+			if (this.positions[i] < this.positions[i - 1]) {
+				throw "Scale positions must be in ascending order.";
+			}
+		}
+
+		this.space = args.space || (named ? 'rgb' : 'oklab');
+		this.log = !!args.log;
+		this.clamp = (args.clamp === undefined) ? true : args.clamp;
+		this.outside = ColorUtils.toRGB(args.outside || 'transparent');
+
+		this.domain = (args.domain || [ 0, 1 ]).slice();
+		
+		if (args.symmetric) {
+			var extent = Math.max(
+				Math.abs(this.domain[0]), 
+				Math.abs(this.domain[this.domain.length - 1])
+			);
+			this.domain = [ -extent, 0, extent ];
+		}
+
+		if (this.log && this.domain[0] <= 0) {
+			throw "A logarithmic scale requires a positive domain.";
+		}
+	};
+
+	/* normalize
+	 *
+	 * Maps a data value onto [0, 1] along the scale.
+	 *
+	 * Required:
+	 *   [0] value
+	 *
+	 * A domain with zero width (e.g. [ 5, 5 ]) has 
+	 * nowhere to map values to and is rejected.
+	 *
+	 * Returns: t in [0, 1] or NaN if the value is 
+	 *   NaN or outside an unclamped domain
+	 */
+	ColorUtils.scale.Scale.prototype.normalize = function (value) {
+		var f = this.log 
+			? function (x) { return x > 0 ? Math.log(x) : -Infinity; }
+			: function (x) { return x; };
+
+		var domain = this.domain.map(f);
+		for (var i = 1; i < domain.length; i++) {
+			if (domain[i] === domain[i - 1]) {
+				throw "A scale's domain must not have zero width.";
+			}
+		}
+
+		var x = f(value);
+
+		var t;
+		if (domain.length === 3) {
+			t = (x < domain[1])
+				? 0.5 * (x - domain[0]) / (domain[1] - domain[0])
+				: 0.5 + 0.5 * (x - domain[1]) / (domain[2] - domain[1]);
+		}
+		else {
+			t = (x - domain[0]) / (domain[1] - domain[0]);
+		}
+
+		if (isNaN(t)) {
+			return NaN;
+		}
+		else if (t < 0 || t > 1) {
+			return this.clamp ? cutoff(t, 0, 1) : NaN;
+		}
+
+		return t;
+	};
+
+	/* color
+	 *
+	 * Required:
+	 *   [0] value: a data value
+	 *
+	 * Returns: {r,g,b,a} 
+	 */
+	ColorUtils.scale.Scale.prototype.color = function (value) {
+		return this.at(this.normalize(value));
+	};
+
+	/* at
+	 *
+	 * Samples the gradient directly, ignoring the domain.
+	 *
+	 * Required:
+	 *   [0] t: [0, 1]
+	 *
+	 * Returns: {r,g,b,a} 
+	 */
+	ColorUtils.scale.Scale.prototype.at = function (t) {
+		if (isNaN(t)) {
+			return copy(this.outside);
+		}
+
+		var positions = this.positions;
+		var last = positions.length - 1;
+
+		if (t <= positions[0]) {
+			return copy(this.colors[0]);
+		}
+		else if (t >= positions[last]) {
+			return copy(this.colors[last]);
+		}
+
+		var i = 1;
+		while (positions[i] < t) {
+			i++;
+		}
+
+		var span = positions[i] - positions[i - 1];
+		var blending = span ? (t - positions[i - 1]) / span : 1;
+
+		return ColorUtils.average(this.colors[i - 1], this.colors[i], blending, this.space);
+	};
+
+	/* lut
+	 *
+	 * Precomputes a lookup table for fast per-pixel use.
+	 * Entry i holds the color at t = i / (size - 1).
+	 * Pair it with Scale.prototype.index.
+	 *
+	 * Optional:
+	 *   [0] size: number of entries (default 256)
+	 *
+	 * Returns: Uint8Array of size * 4 (RGBA, alpha in [0, 255])
+	 */
+	ColorUtils.scale.Scale.prototype.lut = function (size) {
+		size = size || 256;
+
+		var table = new Uint8Array(size * 4);
+		for (var i = 0; i < size; i++) {
+			var color = this.at(size === 1 ? 0 : i / (size - 1));
+
+			table[i * 4 + 0] = Math.round(color.r);
+			table[i * 4 + 1] = Math.round(color.g);
+			table[i * 4 + 2] = Math.round(color.b);
+			table[i * 4 + 3] = Math.round(color.a * 255);
+		}
+
+		return table;
+	};
+
+	/* index
+	 *
+	 * Finds the lookup table entry for a data value.
+	 *
+	 * Required:
+	 *   [0] value
+	 *
+	 * Optional:
+	 *   [1] size: size of the lut (default 256)
+	 *
+	 * Returns: integer in [0, size) or -1 if the value 
+	 *   should receive the outside color
+	 */
+	ColorUtils.scale.Scale.prototype.index = function (value, size) {
+		size = size || 256;
+
+		var t = this.normalize(value);
+		if (isNaN(t)) {
+			return -1;
+		}
+
+		return Math.round(t * (size - 1));
+	};
+
+	/* luminance
+	 *
+	 * The relative luminance of a color as defined by WCAG 2.x.
+	 * 0 is black, 1 is white.
+	 *
+	 * Required:
+	 *   [0] color
+	 *
+	 * Returns: [0, 1]
+	 */
+	ColorUtils.luminance = function (color) {
+		var linear = ColorUtils.toLinearRGB(color);
+		return 0.2126 * linear.r + 0.7152 * linear.g + 0.0722 * linear.b;
+	};
+
+	/* contrast
+	 *
+	 * The WCAG 2.x contrast ratio between two colors. The order
+	 * doesn't matter except that if color1 is translucent, it's
+	 * treated as text drawn on top of color2.
+	 *
+	 * AA requires 4.5 for body text and 3 for large text.
+	 * AAA requires 7 and 4.5 respectively.
+	 *
+	 * Required:
+	 *   [0] color1: e.g. the text color
+	 *   [1] color2: e.g. the background color
+	 *
+	 * Returns: [1, 21]
+	 */
+	ColorUtils.contrast = function (color1, color2) {
+		var pair = opaquePair(color1, color2);
+
+		var l1 = ColorUtils.luminance(pair[0]);
+		var l2 = ColorUtils.luminance(pair[1]);
+
+		return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+	};
+
+	/* apca
+	 *
+	 * The APCA (Accessible Perceptual Contrast Algorithm, 0.0.98G-4g)
+	 * lightness contrast proposed for WCAG 3. Unlike the WCAG 2 ratio,
+	 * it is not symmetric so the order of the arguments matters.
+	 * Roughly, |Lc| 75 is comparable to a ratio of 4.5.
+	 *
+	 * Required:
+	 *   [0] text
+	 *   [1] background
+	 *
+	 * Returns: Lc in about [-108, 106], positive for dark text
+	 *   on a light background and negative for the reverse.
+	 */
+	ColorUtils.apca = function (text, background) {
+		var pair = opaquePair(text, background);
+
+		var ytext = apcaLuminance(ColorUtils.toRGB(pair[0]));
+		var ybg = apcaLuminance(ColorUtils.toRGB(pair[1]));
+
+		if (Math.abs(ybg - ytext) < 0.0005) {
+			return 0;
+		}
+
+		var sapc;
+		if (ybg > ytext) { // dark text on a light background
+			sapc = (Math.pow(ybg, 0.56) - Math.pow(ytext, 0.57)) * 1.14;
+			return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+		}
+
+		sapc = (Math.pow(ybg, 0.65) - Math.pow(ytext, 0.62)) * 1.14;
+		return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+	};
+
+	/* bestTextColor
+	 *
+	 * Picks the candidate that is most legible on the background.
+	 *
+	 * Required:
+	 *   [0] background
+	 *
+	 * Optional:
+	 *   [1] candidates: array of colors (default black and white)
+	 *   [2] algorithm: 'wcag' (default) or 'apca'
+	 *
+	 * Returns: the winning candidate as it was passed in
+	 */
+	ColorUtils.bestTextColor = function (background, candidates, algorithm) {
+		candidates = candidates || [ '#000000', '#ffffff' ];
+
+		var score = (algorithm === 'apca')
+			? function (text) { return Math.abs(ColorUtils.apca(text, background)); }
+			: function (text) { return ColorUtils.contrast(text, background); };
+
+		var best = candidates[0];
+		var bestscore = score(best);
+
+		for (var i = 1; i < candidates.length; i++) {
+			var candidatescore = score(candidates[i]);
+			if (candidatescore > bestscore) {
+				best = candidates[i];
+				bestscore = candidatescore;
+			}
+		}
+
+		return best;
+	};
+
+	/* ensureContrast
+	 *
+	 * Adjusts the HSL lightness of the foreground as little as 
+	 * possible so that it reaches the
+	 * target WCAG contrast ratio with the background. Hue is kept.
+	 * If the target is unreachable, the most contrasting 
+	 * lightness is returned.
+	 *
+	 * Required:
+	 *   [0] foreground
+	 *   [1] background
+	 *
+	 * Optional:
+	 *   [2] ratio: target contrast ratio (default 4.5)
+	 *
+	 * Returns: {r,g,b} foreground
+	 */
+	ColorUtils.ensureContrast = function (foreground, background, ratio) {
+		ratio = ratio || 4.5;
+
+		var fg = ColorUtils.toRGB(foreground);
+		var adjusted = function (percent) {
+			var color = shiftLightness(fg, percent);
+			if (fg.a !== undefined) {
+				color.a = fg.a;
+			}
+			return color;
+		};
+		var meets = function (percent) {
+			return ColorUtils.contrast(adjusted(percent), background) >= ratio;
+		};
+
+		if (meets(0)) {
+			return adjusted(0);
+		}
+
+		// Search for the smallest nudge in each direction that works
+		var best = null;
+		[ 100, -100 ].forEach(function (limit) {
+			if (!meets(limit)) {
+				return;
+			}
+
+			var low = 0, high = limit;
+			for (var i = 0; i < 12; i++) {
+				var mid = (low + high) / 2;
+				if (meets(mid)) {
+					high = mid;
+				}
+				else {
+					low = mid;
+				}
+			}
+
+			if (best === null || Math.abs(high) < Math.abs(best)) {
+				best = high;
+			}
+		});
+
+		if (best === null) {
+			best = ColorUtils.contrast(adjusted(100), background) > ColorUtils.contrast(adjusted(-100), background)
+				? 100
+				: -100;
+		}
+
+		return adjusted(best);
+	};
+
+	/* deltaE
+	 *
+	 * How different two colors look. As a rule of thumb, under 
+	 * 1 is imperceptible and under 2.3 is a "just noticeable 
+	 * difference" for the CIE metrics.
+	 *
+	 * Required:
+	 *   [0] color1
+	 *   [1] color2
+	 *
+	 * Optional:
+	 *   [2] metric: '2000' (default), '94', '76', 'ok' (euclidean 
+	 *     OKLab, scaled by 100 to be comparable), or a 
+	 *     function (color1, color2) returning a distance
+	 *
+	 * Returns: distance >= 0
+	 */
+	ColorUtils.deltaE = function (color1, color2, metric) {
+		return metricFunction(metric)(color1, color2);
+	};
+
+	/* deltaE76
+	 *
+	 * CIE 1976 color difference. Euclidean distance in Lab.
+	 *
+	 * Required:
+	 *   [0] color1
+	 *   [1] color2
+	 *
+	 * Returns: distance >= 0
+	 */
+	ColorUtils.deltaE76 = function (color1, color2) {
+		var lab1 = ColorUtils.toLab(color1);
+		var lab2 = ColorUtils.toLab(color2);
+
+		var dl = lab1.l - lab2.l;
+		var da = lab1.a - lab2.a;
+		var db = lab1.b - lab2.b;
+
+		return Math.sqrt(dl * dl + da * da + db * db);
+	};
+
+	/* deltaE94
+	 *
+	 * CIE 1994 color difference with graphic arts weights.
+	 * Note that it isn't symmetric, color1 is the reference.
+	 *
+	 * Required:
+	 *   [0] color1: reference
+	 *   [1] color2: sample
+	 *
+	 * Returns: distance >= 0
+	 */
+	ColorUtils.deltaE94 = function (color1, color2) {
+		var lab1 = ColorUtils.toLab(color1);
+		var lab2 = ColorUtils.toLab(color2);
+
+		var c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+		var c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+
+		var dl = lab1.l - lab2.l;
+		var dc = c1 - c2;
+		var da = lab1.a - lab2.a;
+		var db = lab1.b - lab2.b;
+		var dh2 = Math.max(0, da * da + db * db - dc * dc);
+
+		var sc = 1 + 0.045 * c1;
+		var sh = 1 + 0.015 * c1;
+
+		return Math.sqrt(dl * dl + (dc / sc) * (dc / sc) + dh2 / (sh * sh));
+	};
+
+	/* deltaE2000
+	 *
+	 * CIEDE2000 color difference, the most perceptually accurate
+	 * of the CIE metrics.
+	 *
+	 * Algorithm from: Sharma, Wu, and Dalal (2005) "The CIEDE2000 
+	 * Color-Difference Formula: Implementation Notes, Supplementary 
+	 * Test Data, and Mathematical Observations"
+	 *
+	 * Required:
+	 *   [0] color1
+	 *   [1] color2
+	 *
+	 * Returns: distance >= 0
+	 */
+	ColorUtils.deltaE2000 = function (color1, color2) {
+		var lab1 = ColorUtils.toLab(color1);
+		var lab2 = ColorUtils.toLab(color2);
+
+		var rad = Math.PI / 180;
+		var pow25_7 = Math.pow(25, 7);
+
+		var c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+		var c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+		var cbar7 = Math.pow((c1 + c2) / 2, 7);
+
+		var g = 0.5 * (1 - Math.sqrt(cbar7 / (cbar7 + pow25_7)));
+
+		var a1 = (1 + g) * lab1.a;
+		var a2 = (1 + g) * lab2.a;
+
+		var c1p = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+		var c2p = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+
+		var h1p = (c1p === 0) ? 0 : toPolar(a1, lab1.b).h;
+		var h2p = (c2p === 0) ? 0 : toPolar(a2, lab2.b).h;
+
+		var dlp = lab2.l - lab1.l;
+		var dcp = c2p - c1p;
+
+		var dhp = 0;
+		if (c1p * c2p !== 0) {
+			dhp = h2p - h1p;
+			if (dhp > 180) {
+				dhp -= 360;
+			}
+			else if (dhp < -180) {
+				dhp += 360;
+			}
+		}
+
+		var dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(dhp / 2 * rad);
+
+		var lbarp = (lab1.l + lab2.l) / 2;
+		var cbarp = (c1p + c2p) / 2;
+
+		var hbarp = h1p + h2p;
+		if (c1p * c2p !== 0) {
+			if (Math.abs(h1p - h2p) <= 180) {
+				hbarp = (h1p + h2p) / 2;
+			}
+			else if (h1p + h2p < 360) {
+				hbarp = (h1p + h2p + 360) / 2;
+			}
+			else {
+				hbarp = (h1p + h2p - 360) / 2;
+			}
+		}
+
+		var t = 1 
+			- 0.17 * Math.cos((hbarp - 30) * rad)
+			+ 0.24 * Math.cos(2 * hbarp * rad)
+			+ 0.32 * Math.cos((3 * hbarp + 6) * rad)
+			- 0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+		var dtheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+		var cbarp7 = Math.pow(cbarp, 7);
+		var rc = 2 * Math.sqrt(cbarp7 / (cbarp7 + pow25_7));
+
+		var lbarp50 = (lbarp - 50) * (lbarp - 50);
+		var sl = 1 + 0.015 * lbarp50 / Math.sqrt(20 + lbarp50);
+		var sc = 1 + 0.045 * cbarp;
+		var sh = 1 + 0.015 * cbarp * t;
+		var rt = -Math.sin(2 * dtheta * rad) * rc;
+
+		var lterm = dlp / sl;
+		var cterm = dcp / sc;
+		var hterm = dHp / sh;
+
+		return Math.sqrt(lterm * lterm + cterm * cterm + hterm * hterm + rt * cterm * hterm);
+	};
+
+	/* nearest
+	 *
+	 * Finds the closest candidate to a color, e.g. the palette 
+	 * entry matching a picked pixel. If no candidates are given, 
+	 * the CSS named colors are searched and the name is returned,
+	 * which is handy for human readable tooltips.
+	 *
+	 * Required:
+	 *   [0] color
+	 *
+	 * Optional:
+	 *   [1] candidates: array of colors (default the CSS named colors)
+	 *   [2] metric: see ColorUtils.deltaE (default '2000'). A 
+	 *     function is called with color and each candidate as 
+	 *     they were passed in ({r,g,b} for the named colors).
+	 *
+	 * Returns: the nearest candidate as it was passed in, 
+	 *   or its name if searching the named colors
+	 */
+	ColorUtils.nearest = function (color, candidates, metric) {
+		var distance = metricFunction(metric);
+
+		// Only the built in metrics benefit from converting 
+		// to Lab up front, custom ones get colors untouched
+		var custom = typeof(metric) === 'function';
+		var target = custom ? color : ColorUtils.toLab(color);
+
+		var names = null;
+		if (!candidates) {
+			names = Object.keys(NAMED_COLORS);
+			candidates = names.map(function (name) {
+				return custom ? parseHex(NAMED_COLORS[name]) : namedLab(name);
+			});
+		}
+
+		var best = -1;
+		var bestdistance = Infinity;
+		for (var i = 0; i < candidates.length; i++) {
+			var d = distance(target, candidates[i]);
+			if (d < bestdistance) {
+				best = i;
+				bestdistance = d;
+			}
+		}
+
+		if (best === -1) {
+			return undefined;
+		}
+
+		return names ? names[best] : candidates[best];
+	};
+
+	/* name
+	 *
+	 * Required:
+	 *   [0] color
+	 *
+	 * Returns: the name of the closest CSS named color e.g. 'tomato'
+	 */
+	ColorUtils.name = function (color) {
+		return ColorUtils.nearest(color);
+	};
+
+	/* Color
+	 *
+	 * An immutable color with chainable operations. Every
+	 * operation returns a new Color and leaves the original alone.
+	 *
+	 * e.g. new ColorUtils.Color('tomato').rotate(30).lighten(10).toHex()
+	 *
+	 * A Color is stored as sRGB { r, g, b, a } (r,g,b in [0, 255], 
+	 * a in [0, 1]) so it can be passed to any of the free functions.
+	 *
+	 * Required:
+	 *   [0] color: anything ColorUtils.convert understands, 
+	 *     a CSS color string, or another Color
+	 *
+	 * Returns: this (requires new)
+	 */
+	ColorUtils.Color = function (color) {
+		var rgb = ColorUtils.toRGB(color);
+
+		this.r = rgb.r;
+		this.g = rgb.g;
+		this.b = rgb.b;
+		this.a = (rgb.a === undefined) ? 1 : cutoff(rgb.a, 0, 1);
+
+		Object.freeze(this);
+	};
+
+	/* rotate
+	 *
+	 * Required:
+	 *   [0] degrees: hue rotation (see ColorUtils.rotate)
+	 *
+	 * Returns: new Color
+	 */
+	ColorUtils.Color.prototype.rotate = function (degrees) {
+		return derive(this, ColorUtils.rotate(degrees, this));
+	};
+
+	/* lighten / darken
+	 *
+	 * Required:
+	 *   [0] percent: [-100, 100] HSL lightness, negative darkens
+	 *
+	 * Returns: new Color
+	 */
+	ColorUtils.Color.prototype.lighten = function (percent) {
+		return derive(this, shiftLightness(this, percent));
+	};
+
+	ColorUtils.Color.prototype.darken = function (percent) {
+		return this.lighten(-percent);
+	};
+
+	/* brighten
+	 *
+	 * Required:
+	 *   [0] percent: [-100, 100] HSV value (see ColorUtils.brighten)
+	 *
+	 * Returns: new Color
+	 */
+	ColorUtils.Color.prototype.brighten = function (percent) {
+		return derive(this, ColorUtils.brighten({ percent: percent, color: this }));
+	};
+
+	/* saturate / desaturate
+	 *
+	 * Required:
+	 *   [0] percent: [-100, 100] HSL saturation (see ColorUtils.saturate)
+	 *
+	 * Returns: new Color
+	 */
+	ColorUtils.Color.prototype.saturate = function (percent) {
+		return derive(this, ColorUtils.saturate({ percent: percent, color: this }));
+	};
+
+	ColorUtils.Color.prototype.desaturate = function (percent) {
+		return this.saturate(-percent);
+	};
+
+	/* temperature
+	 *
+	 * Required:
+	 *   [0] delta: kelvin, see ColorUtils.temperature
+	 *
+	 * Returns: new Color
+	 */
+	ColorUtils.Color.prototype.temperature = function (delta) {
+		return derive(this, ColorUtils.temperature(this, delta));
+	};
+
+	/* mix
+	 *
+	 * Required:
+	 *   [0] color: the color to mix in
+	 *
+	 * Optional:
+	 *   [1] blending: [0, 1] amount of color to mix in (default 0.5)
+	 *   [2] space: space to mix in (see ColorUtils.average, default 'rgb')
+	 *
+	 * Returns: new Color
+	 */
+	ColorUtils.Color.prototype.mix = function (color, blending, space) {
+		var other = new ColorUtils.Color(color);
+		return new ColorUtils.Color(
+			ColorUtils.average(this, other, blending, space || 'rgb')
+		);
+	};
+
+	/* alpha
+	 *
+	 * Optional:
+	 *   [0] value: [0, 1] new opacity
+	 *
+	 * Returns: the opacity if value is omitted, else a new Color
+	 */
+	ColorUtils.Color.prototype.alpha = function (value) {
+		if (value === undefined) {
+			return this.a;
+		}
+
+		return new ColorUtils.Color({ r: this.r, g: this.g, b: this.b, a: value });
+	};
+
+	/* to
+	 *
+	 * Required:
+	 *   [0] space: see ColorUtils.convert e.g. 'oklch'
+	 *
+	 * Returns: a plain object in that space
+	 */
+	ColorUtils.Color.prototype.to = function (space) {
+		return ColorUtils.convert(this, space);
+	};
+
+	/* toHex
+	 *
+	 * Returns: e.g. '#ff6347', or '#ff634780' if translucent
+	 */
+	ColorUtils.Color.prototype.toHex = function () {
+		return ColorUtils.format(this, 'hex');
+	};
+
+	/* toCss
+	 *
+	 * Optional:
+	 *   [0] format: see ColorUtils.format (default 'rgb')
+	 *   [1] options: { precision, alpha } see ColorUtils.format
+	 *
+	 * Returns: CSS color string
+	 */
+	ColorUtils.Color.prototype.toCss = function (format, options) {
+		options = options || {};
+
+		return ColorUtils.format(this, {
+			format: format || 'rgb',
+			precision: options.precision,
+			alpha: options.alpha
+		});
+	};
+
+	ColorUtils.Color.prototype.toString = function () {
+		return this.toCss();
+	};
+
+	/* composite
+	 *
+	 * Porter-Duff compositing of a source color onto a backdrop
+	 * e.g. a translucent segment overlay onto EM imagery.
+	 * Math is done on premultiplied alpha, as in the W3C 
+	 * Compositing and Blending Level 1 specification.
+	 *
+	 * Required:
+	 *   [0] source: the color being drawn
+	 *   [1] backdrop: the color already there
+	 *
+	 * Optional:
+	 *   [2] operator: 'over' (default), 'in', 'out', 'atop', or 'xor'
+	 *
+	 * Returns: {r,g,b,a}
+	 */
+	ColorUtils.composite = function (source, backdrop, operator) {
+		return ColorUtils.blend(source, backdrop, 'normal', operator);
+	};
+
+	/* blend
+	 *
+	 * Blends a source color into a backdrop using one of the 
+	 * standard CSS / canvas blend modes and then composites 
+	 * the result.
+	 *
+	 * Required:
+	 *   [0] source
+	 *   [1] backdrop
+	 *
+	 * Optional:
+	 *   [2] mode: 'normal' (default), 'multiply', 'screen', 'overlay', 
+	 *     'darken', 'lighten', 'color-dodge', 'color-burn', 'hard-light', 
+	 *     'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 
+	 *     'color', or 'luminosity'
+	 *   [3] operator: see ColorUtils.composite (default 'over')
+	 *
+	 * Returns: {r,g,b,a}
+	 */
+	ColorUtils.blend = function (source, backdrop, mode, operator) {
+		var src = ColorUtils.toRGB(source);
+		var dst = ColorUtils.toRGB(backdrop);
+
+		var out = [ 0, 0, 0, 0 ];
+		compositePixel(
+			[ src.r / 255, src.g / 255, src.b / 255, (src.a === undefined) ? 1 : src.a ],
+			[ dst.r / 255, dst.g / 255, dst.b / 255, (dst.a === undefined) ? 1 : dst.a ],
+			blendFunction(mode || 'normal'),
+			compositeFactors(operator || 'over'),
+			out
+		);
+
+		return { r: out[0] * 255, g: out[1] * 255, b: out[2] * 255, a: out[3] };
+	};
+
+	/* compositeBuffer
+	 *
+	 * Blends and composites whole RGBA pixel buffers 
+	 * (e.g. ImageData.data) with no per-pixel allocation.
+	 *
+	 * Integer buffers (Uint8ClampedArray, Uint8Array) are 
+	 * taken to be in [0, 255] and float buffers in [0, 1].
+	 *
+	 * Required:
+	 *   [0] source: RGBA buffer being drawn
+	 *   [1] backdrop: RGBA buffer of the same length
+	 *
+	 * Optional:
+	 *   [2] args:
+	 *     mode: see ColorUtils.blend (default 'normal')
+	 *     operator: see ColorUtils.composite (default 'over')
+	 *     premultiplied: whether the buffers hold premultiplied
+	 *       alpha, as in WebGL (default false). The output will too.
+	 *     output: buffer to write to (default backdrop, i.e. in place)
+	 *
+	 * Returns: output
+	 */
+	ColorUtils.compositeBuffer = function (source, backdrop, args) {
+		args = args || {};
+
+		if (source.length !== backdrop.length) {
+			throw "Source and backdrop buffers must be the same length.";
+		}
+
+		var output = args.output || backdrop;
+		var premultiplied = !!args.premultiplied;
+		var blendfn = blendFunction(args.mode || 'normal');
+		var factors = compositeFactors(args.operator || 'over');
+
+		var sscale = isFloatBuffer(source) ? 1 : 255;
+		var bscale = isFloatBuffer(backdrop) ? 1 : 255;
+		var oscale = isFloatBuffer(output) ? 1 : 255;
+
+		var src = [ 0, 0, 0, 0 ];
+		var dst = [ 0, 0, 0, 0 ];
+		var out = [ 0, 0, 0, 0 ];
+
+		for (var i = 0; i < source.length; i += 4) {
+			readPixel(source, i, sscale, premultiplied, src);
+			readPixel(backdrop, i, bscale, premultiplied, dst);
+
+			compositePixel(src, dst, blendfn, factors, out);
+
+			var alpha = premultiplied ? out[3] : 1;
+			output[i] = out[0] * alpha * oscale;
+			output[i + 1] = out[1] * alpha * oscale;
+			output[i + 2] = out[2] * alpha * oscale;
+			output[i + 3] = out[3] * oscale;
+		}
+
+		return output;
+	};
+
+	/* simulate
+	 *
+	 * Approximates how a color appears with a color vision 
+	 * deficiency using the Machado, Oliveira, and Fernandes (2009) 
+	 * model, applied in linear RGB. 
+	 *
+	 * The anomalous trichromacies (protanomaly, deuteranomaly, 
+	 * tritanomaly) use the model's matrices for severities 0.1 
+	 * through 1, interpolated in between. Severity 1 is the 
+	 * dichromacy, so e.g. 'protanomaly' at 1 is 'protanopia' 
+	 * and 'protanopia' at 0.6 is 'protanomaly' at 0.6. The 
+	 * model doesn't cover achromatopsia, so lesser severities 
+	 * of it simply fade towards grayscale.
+	 *
+	 * Required:
+	 *   [0] color
+	 *   [1] deficiency: 'protanopia', 'deuteranopia', 'tritanopia', 
+	 *       'protanomaly', 'deuteranomaly', 'tritanomaly', 
+	 *       or 'achromatopsia' (total color blindness)
+	 *
+	 * Optional:
+	 *   [2] severity: [0, 1] (default 1 for the dichromacies and 
+	 *       achromatopsia, 0.5 for the anomalous trichromacies)
+	 *
+	 * Returns: {r,g,b} (with a if color had one)
+	 */
+	ColorUtils.simulate = function (color, deficiency, severity) {
+		var matrix = deficiencyMatrix(deficiency, severity);
+		var linear = ColorUtils.toLinearRGB(color);
+		var v = multiply(matrix, [ linear.r, linear.g, linear.b ]);
+
+		var rgb = ColorUtils.LinearRGBtoRGB(v[0], v[1], v[2]);
+		if (linear.alpha !== undefined) {
+			rgb.a = linear.alpha;
+		}
+
+		return rgb;
+	};
+
+	/* daltonize
+	 *
+	 * Adjusts a color so that a viewer with the given deficiency 
+	 * can better tell it apart from others. The information lost 
+	 * in simulation is shifted into channels they can see 
+	 * (Fidaner, Lin, and Ozguven's method, applied in linear RGB).
+	 *
+	 * Required:
+	 *   [0] color
+	 *   [1] deficiency: see ColorUtils.simulate
+	 *
+	 * Optional:
+	 *   [2] severity: [0, 1] (default see ColorUtils.simulate)
+	 *
+	 * Returns: {r,g,b} (with a if color had one)
+	 */
+	ColorUtils.daltonize = function (color, deficiency, severity) {
+		var linear = ColorUtils.toLinearRGB(color);
+		var original = [ linear.r, linear.g, linear.b ];
+		var simulated = multiply(deficiencyMatrix(deficiency, severity), original);
+
+		var error = [
+			original[0] - simulated[0],
+			original[1] - simulated[1],
+			original[2] - simulated[2]
+		];
+
+		var shift = multiply(DALTONIZE_SHIFT[DEFICIENCIES[deficiency].type], error);
+
+		var rgb = ColorUtils.LinearRGBtoRGB(
+			original[0] + shift[0], 
+			original[1] + shift[1], 
+			original[2] + shift[2]
+		);
+
+		if (linear.alpha !== undefined) {
+			rgb.a = linear.alpha;
+		}
+
+		return rgb;
+	};
+
+	/* checkPalette
+	 *
+	 * Reports which pairs of colors in a palette become hard
+	 * to tell apart under each color vision deficiency.
+	 *
+	 * Required:
+	 *   [0] palette: array of colors
+	 *
+	 * Optional:
+	 *   [1] options:
+	 *     deficiencies: array of names (default protanopia, 
+	 *       deuteranopia, and tritanopia)
+	 *     severity: [0, 1] (default see ColorUtils.simulate)
+	 *     threshold: pairs closer than this are reported (default 10)
+	 *     metric: see ColorUtils.deltaE (default '2000')
+	 *
+	 * Returns: { deficiency: [ { i, j, distance }, ... ], ... } 
+	 *   where i < j index into the palette, sorted closest first
+	 */
+	ColorUtils.checkPalette = function (palette, options) {
+		options = options || {};
+
+		var deficiencies = options.deficiencies || [ 'protanopia', 'deuteranopia', 'tritanopia' ];
+		var threshold = (options.threshold === undefined) ? 10 : options.threshold;
+		var distance = metricFunction(options.metric);
+
+		var report = {};
+		deficiencies.forEach(function (deficiency) {
+			var simulated = palette.map(function (color) {
+				return ColorUtils.simulate(color, deficiency, options.severity);
+			});
+
+			var pairs = [];
+			for (var i = 0; i < simulated.length; i++) {
+				for (var j = i + 1; j < simulated.length; j++) {
+					var d = distance(simulated[i], simulated[j]);
+					if (d < threshold) {
+						pairs.push({ i: i, j: j, distance: d });
+					}
+				}
+			}
+
+			pairs.sort(function (a, b) {
+				return a.distance - b.distance;
+			});
+
+			report[deficiency] = pairs;
+		});
+
+		return report;
+	};
+
+	/* fromKelvin
+	 *
+	 * The color of a black body radiator (an incandescent 
+	 * light, or roughly the sun at 5778K) at the given 
+	 * temperature, scaled so its brightest channel is 255.
+	 * The chromaticity comes from Kim et al.'s approximation 
+	 * of the Planckian locus.
+	 *
+	 * The display's own white (D65) lies a little off of the 
+	 * locus, so the colors are white balanced to make 6504K, 
+	 * the temperature closest to D65, come out pure white.
+	 *
+	 * e.g. ColorUtils.fromKelvin(2700) => warm orange white
+	 *      ColorUtils.fromKelvin(10000) => pale blue
+	 *
+	 * Required:
+	 *   [0] kelvin: [1667, 25000], clamped to that range
+	 *
+	 * Returns: {r,g,b} integer channels
+	 */
+	ColorUtils.fromKelvin = function (kelvin) {
+		var v = multiply(XYZ_TO_LINEAR_RGB, whiteXYZ(kelvin));
+		var white = multiply(XYZ_TO_LINEAR_RGB, whiteXYZ(NEUTRAL_KELVIN));
+
+		v = [ v[0] / white[0], v[1] / white[1], v[2] / white[2] ];
+		var brightest = Math.max(v[0], v[1], v[2]);
+
+		return roundRGB(ColorUtils.convert({
+			space: 'linear-rgb',
+			r: v[0] / brightest,
+			g: v[1] / brightest,
+			b: v[2] / brightest
+		}, 'rgb'));
+	};
+
+	/* temperature
+	 *
+	 * Warms or cools a color as though the white point of 
+	 * the display were moved along the Planckian locus by 
+	 * delta kelvin. White becomes ColorUtils.fromKelvin(6504 + delta)
+	 * and every other color is adapted along with it.
+	 *
+	 * Positive deltas raise the temperature (cooler, bluer), 
+	 * negative deltas lower it (warmer, more orange).
+	 *
+	 * Required:
+	 *   [0] color
+	 *   [1] delta: kelvin
+	 *
+	 * Optional:
+	 *   [2] method: 'bradford' (default) or 'cat16' 
+	 *
+	 * Returns: {r,g,b} (with a if color had one)
+	 */
+	ColorUtils.temperature = function (color, delta, method) {
+		return ColorUtils.adapt(color, NEUTRAL_KELVIN, NEUTRAL_KELVIN + delta, method);
+	};
+
+	/* adapt
+	 *
+	 * Chromatic adaptation. Predicts the color that looks 
+	 * the same under the white point to as the given color 
+	 * does under the white point from, e.g. to match overlay 
+	 * colors between images white balanced differently.
+	 *
+	 * White points can be given as:
+	 *   a CIE standard illuminant: 'A', 'D50', 'D55', 'D65', 
+	 *     'D75', 'E', 'F2', 'F7', or 'F11'
+	 *   a color temperature in kelvin (e.g. 3200)
+	 *   a chromaticity { x, y }
+	 *
+	 * The result is scaled so that the display's white, adapted, 
+	 * has its brightest channel at full strength. Otherwise the 
+	 * lightest colors would overflow sRGB and be mapped back to 
+	 * white, not adapted at all. Apply ColorUtils.adaptationMatrix 
+	 * to XYZ directly to get unscaled values.
+	 *
+	 * Required:
+	 *   [0] color
+	 *   [1] from: white point the color was seen under
+	 *   [2] to: white point to see it under
+	 *
+	 * Optional:
+	 *   [3] method: 'bradford' (default) or 'cat16' 
+	 *
+	 * Returns: {r,g,b} (with a if color had one)
+	 */
+	ColorUtils.adapt = function (color, from, to, method) {
+		var matrix = multiplyMatrices(
+			XYZ_TO_LINEAR_RGB, 
+			multiplyMatrices(
+				ColorUtils.adaptationMatrix(from, to, method), 
+				LINEAR_RGB_TO_XYZ
+			)
+		);
+
+		var white = multiply(matrix, [ 1, 1, 1 ]);
+		var brightest = Math.max(white[0], white[1], white[2]);
+
+		var linear = ColorUtils.toLinearRGB(color);
+		var v = multiply(matrix, [ linear.r, linear.g, linear.b ]);
+
+		var rgb = ColorUtils.convert({
+			space: 'linear-rgb',
+			r: v[0] / brightest,
+			g: v[1] / brightest,
+			b: v[2] / brightest
+		}, 'rgb');
+
+		if (linear.alpha !== undefined) {
+			rgb.a = linear.alpha;
+		}
+
+		return rgb;
+	};
+
+	/* adaptationMatrix
+	 *
+	 * The von Kries style transform behind ColorUtils.adapt.
+	 * XYZ is taken into a cone response space, each cone is 
+	 * scaled by the ratio of the two whites, and the result 
+	 * is taken back to XYZ. Useful for adapting many colors 
+	 * or whole images at once.
+	 *
+	 * Required:
+	 *   [0] from: white point (see ColorUtils.adapt)
+	 *   [1] to: white point
+	 *
+	 * Optional:
+	 *   [2] method: 'bradford' (default) or 'cat16' 
+	 *
+	 * Returns: 3x3 matrix (array of rows) acting on XYZ
+	 */
+	ColorUtils.adaptationMatrix = function (from, to, method) {
+		method = method || 'bradford';
+
+		if (!CONE_RESPONSES.hasOwnProperty(method)) {
+			throw method + " is not a known chromatic adaptation method.";
+		}
+
+		var cones = CONE_RESPONSES[method];
+		var source = multiply(cones.forward, whiteXYZ(from));
+		var destination = multiply(cones.forward, whiteXYZ(to));
+
+		var scaling = [
+			[ destination[0] / source[0], 0, 0 ],
+			[ 0, destination[1] / source[1], 0 ],
+			[ 0, 0, destination[2] / source[2] ]
+		];
+
+		return multiplyMatrices(cones.inverse, multiplyMatrices(scaling, cones.forward));
+	};
+
+	/* scheme
+	 *
+	 * Generates a classic color harmony from a base color.
+	 * The base color is always first.
+	 *
+	 * Types:
+	 *   'complementary': base + opposite hue
+	 *   'split-complementary': base + the two hues angle (30) to either side of its opposite
+	 *   'triadic': three hues 120 degrees apart
+	 *   'tetradic': base, base + angle (90), and their opposites
+	 *   'analogous': count (3) hues angle (30) apart centered on base
+	 *   'monochromatic': count (5) lightnesses of the same hue, dark to light
+	 *   'tints', 'shades', 'tones': base mixed toward white, black, 
+	 *       or gray in count (5) steps
+	 *
+	 * Required:
+	 *   [0] color
+	 *   [1] type: see above
+	 *
+	 * Optional:
+	 *   [2] options:
+	 *     space: 'hsl' (default) or 'oklch'. In oklch, hues are 
+	 *       perceptually evenly spaced and lightness is kept steady.
+	 *     angle: degrees, see above
+	 *     count: number of colors, see above
+	 *
+	 * Returns: [ {r,g,b}, ... ]
+	 */
+	ColorUtils.scheme = function (color, type, options) {
+		options = options || {};
+
+		var space = options.space || 'hsl';
+		var count = options.count || (type === 'analogous' ? 3 : 5);
+		var base = ColorUtils.toRGB(color);
+
+		if (space !== 'hsl' && space !== 'oklch') {
+			throw space + " is not supported for color schemes. Use 'hsl' or 'oklch'.";
+		}
+
+		var rotations = {
+			complementary: function () { 
+				return [ 0, 180 ]; 
+			},
+			'split-complementary': function (angle) { 
+				angle = (angle === undefined) ? 30 : angle;
+				return [ 0, 180 - angle, 180 + angle ]; 
+			},
+			triadic: function () { 
+				return [ 0, 120, 240 ]; 
+			},
+			tetradic: function (angle) { 
+				angle = (angle === undefined) ? 90 : angle;
+				return [ 0, angle, 180, 180 + angle ]; 
+			},
+			analogous: function (angle) {
+				angle = (angle === undefined) ? 30 : angle;
+
+				// base first, then alternating either side of it
+				var degrees = [ 0 ];
+				for (var i = 1; degrees.length < count; i++) {
+					degrees.push(-Math.ceil(i / 2) * angle * (i % 2 ? 1 : -1));
+				}
+				return degrees;
+			}
+		};
+
+		var targets = { tints: 'white', shades: 'black', tones: 'gray' };
+
+		if (rotations.hasOwnProperty(type)) {
+			return rotations[type](options.angle).map(function (degrees) {
+				return rotateIn(base, degrees, space);
+			});
+		}
+		else if (targets.hasOwnProperty(type)) {
+			var steps = [ base ];
+			for (var i = 1; i < count; i++) {
+				steps.push(roundRGB(ColorUtils.average(base, targets[type], i / count, space)));
+			}
+			return steps;
+		}
+		else if (type === 'monochromatic') {
+			var colors = [];
+			var cylinder = ColorUtils.convert(base, space);
+			for (var j = 0; j < count; j++) {
+				var lightness = (j + 1) / (count + 1);
+				colors.push(space === 'hsl'
+					? ColorUtils.HSLtoRGB(cylinder.h, cylinder.s, lightness)
+					: roundRGB(ColorUtils.convert(fitChroma(lightness, cylinder.c, cylinder.h), 'rgb'))
+				);
+			}
+			return colors;
+		}
+
+		throw type + " is not a known color scheme.";
+	};
+
+	/* sortPalette
+	 *
+	 * Required:
+	 *   [0] palette: array of colors
+	 *
+	 * Optional:
+	 *   [1] key: 'hue' (default), 'lightness', 'chroma', 'luminance',
+	 *     or function (color) => number. Hue, lightness, and chroma
+	 *     are measured in OKLCh. Grays sort before everything else by hue.
+	 *
+	 * Returns: a new sorted array holding the original colors, ascending
+	 */
+	ColorUtils.sortPalette = function (palette, key) {
+		key = key || 'hue';
+
+		var keys = {
+			hue: function (color) {
+				var lch = ColorUtils.toOKLCh(color);
+				return lch.c < 1e-4 ? -1 : lch.h;
+			},
+			lightness: function (color) { return ColorUtils.toOKLCh(color).l; },
+			chroma: function (color) { return ColorUtils.toOKLCh(color).c; },
+			luminance: ColorUtils.luminance
+		};
+
+		var fn = (typeof(key) === 'function') ? key : keys[key];
+		if (!fn) {
+			throw key + " is not a known sort key.";
+		}
+
+		// Decorate with the key and index so each color is measured 
+		// once and ties keep their order.
+		return palette
+			.map(function (color, index) {
+				return { color: color, value: fn(color), index: index };
+			})
+			.sort(function (a, b) {
+				return (a.value - b.value) || (a.index - b.index);
+			})
+			.map(function (item) {
+				return item.color;
+			});
+	};
+
+	/* dedupePalette
+	 *
+	 * Removes colors that are (nearly) identical to 
+	 * an earlier color in the palette.
+	 *
+	 * Required:
+	 *   [0] palette: array of colors
+	 *
+	 * Optional:
+	 *   [1] threshold: colors closer than this are duplicates (default 1, 
+	 *     i.e. imperceptible). Use 0 to only remove exact duplicates.
+	 *   [2] metric: see ColorUtils.deltaE (default '2000')
+	 *
+	 * Returns: a new array holding the original colors that were kept
+	 */
+	ColorUtils.dedupePalette = function (palette, threshold, metric) {
+		threshold = (threshold === undefined) ? 1 : threshold;
+
+		var distance = metricFunction(metric);
+		var kept = [];
+		var keptlab = [];
+
+		palette.forEach(function (color) {
+			var lab = ColorUtils.toLab(color);
+			var duplicate = keptlab.some(function (other) {
+				var d = distance(lab, other);
+				return threshold === 0 ? d === 0 : d < threshold;
+			});
+
+			if (!duplicate) {
+				kept.push(color);
+				keptlab.push(lab);
+			}
+		});
+
+		return kept;
+	};
+
+	/* exportPalette
+	 *
+	 * Serializes a palette for use elsewhere.
+	 *
+	 * e.g. ColorUtils.exportPalette(['red', 'blue'], 'css', { prefix: 'segment' })
+	 *   => ':root {\n  --segment-0: #ff0000;\n  --segment-1: #0000ff;\n}'
+	 *
+	 * Required:
+	 *   [0] palette: array of colors
+	 *
+	 * Optional:
+	 *   [1] format: 'css' (custom properties, default) or 'json'
+	 *   [2] options:
+	 *     names: array of names, one per color (default their indices)
+	 *     prefix: css custom property prefix (default 'color')
+	 *     selector: css selector (default ':root')
+	 *     color: any ColorUtils.format format (default 'hex')
+	 *
+	 * Returns: string
+	 */
+	ColorUtils.exportPalette = function (palette, format, options) {
+		format = format || 'css';
+		options = options || {};
+
+		var prefix = (options.prefix === undefined) ? 'color' : options.prefix;
+		var selector = options.selector || ':root';
+
+		var entries = palette.map(function (color, index) {
+			return {
+				name: options.names ? options.names[index] : String(index),
+				value: ColorUtils.format(color, options.color || 'hex')
+			};
+		});
+
+		if (format === 'json') {
+			if (!options.names) {
+				return JSON.stringify(entries.map(function (entry) { 
+					return entry.value; 
+				}));
+			}
+
+			var named = {};
+			entries.forEach(function (entry) {
+				named[entry.name] = entry.value;
+			});
+			return JSON.stringify(named);
+		}
+		else if (format === 'css') {
+			var lines = entries.map(function (entry) {
+				var property = prefix ? prefix + '-' + entry.name : entry.name;
+				return '  --' + property + ': ' + entry.value + ';';
+			});
+
+			return selector + ' {\n' + lines.join('\n') + '\n}';
+		}
+
+		throw format + " is not a known palette export format.";
+	};
+
+	/* buffer
+	 *
+	 * Batch versions of the conversions and adjustments that
+	 * work directly on pixel buffers (e.g. ImageData.data) without
+	 * allocating anything per pixel. Use these for whole tiles 
+	 * rather than calling e.g. RGBtoHSV on every pixel.
+	 *
+	 * Buffers are interleaved, RGBA by default. Values are in the same 
+	 * units as the object forms (see ColorUtils.convert), so rgb is 
+	 * [0, 255] even in a Float32Array. Everything works in place 
+	 * unless an output buffer is given.
+	 *
+	 * See also ColorUtils.compositeBuffer.
+	 */
+	ColorUtils.buffer = {};
+
+	/* convert
+	 *
+	 * Converts every pixel in a buffer between color spaces.
+	 * Alpha (if present) is copied across untouched.
+	 *
+	 * Colors outside of sRGB headed for rgb, hsl, or hsv are 
+	 * gamut mapped just as ColorUtils.convert does, so both 
+	 * give the same results.
+	 *
+	 * e.g. ColorUtils.buffer.convert(imagedata.data, 'rgb', 'hsv', new Float32Array(n))
+	 *
+	 * Required:
+	 *   [0] source: buffer
+	 *   [1] from: space name (see ColorUtils.convert)
+	 *   [2] to: space name
+	 *
+	 * Optional:
+	 *   [3] output: buffer to write to (default source). Use a
+	 *     Float32Array for anything other than rgb.
+	 *   [4] channels: 3 or 4 (default 4)
+	 *
+	 * Returns: output
+	 */
+	ColorUtils.buffer.convert = function (source, from, to, output, channels) {
+		output = output || source;
+		channels = channels || 4;
+
+		var decoder = kernel(from);
+		var encoder = kernel(to);
+
+		// rgb, hsl, and hsv can skip the trip through linear light
+		var direct = decoder.toRGB && encoder.fromRGB;
+
+		var decode = direct ? decoder.toRGB : decoder.toLinear;
+		var encode = direct ? encoder.fromRGB : encoder.fromLinear;
+		var same = (from === to);
+		var v = pixel;
+
+		for (var i = 0; i < source.length; i += channels) {
+			v[0] = source[i];
+			v[1] = source[i + 1];
+			v[2] = source[i + 2];
+
+			if (!same) {
+				decode(v);
+				encode(v);
+			}
+
+			output[i] = v[0];
+			output[i + 1] = v[1];
+			output[i + 2] = v[2];
+
+			if (channels === 4) {
+				output[i + 3] = source[i + 3];
+			}
+		}
+
+		return output;
+	};
+
+	/* brightness
+	 *
+	 * Scales the RGB channels of every pixel, like the 
+	 * CSS brightness() filter. 
+	 *
+	 * Required:
+	 *   [0] source: RGBA buffer
+	 *   [1] factor: 0 is black, 1 is unchanged, > 1 is brighter
+	 *
+	 * Optional:
+	 *   [2] output: buffer to write to (default source)
+	 *
+	 * Returns: output
+	 */
+	ColorUtils.buffer.brightness = function (source, factor, output) {
+		return mapChannels(source, output, function (c) {
+			return c * factor;
+		});
+	};
+
+	/* contrast
+	 *
+	 * Stretches the RGB channels of every pixel away from 
+	 * (or toward) mid gray, like the CSS contrast() filter.
+	 *
+	 * Required:
+	 *   [0] source: RGBA buffer
+	 *   [1] factor: 0 is gray, 1 is unchanged, > 1 is more contrast
+	 *
+	 * Optional:
+	 *   [2] output: buffer to write to (default source)
+	 *
+	 * Returns: output
+	 */
+	ColorUtils.buffer.contrast = function (source, factor, output) {
+		return mapChannels(source, output, function (c) {
+			return (c - 127.5) * factor + 127.5;
+		});
+	};
+
+	/* hueRotate
+	 *
+	 * Rotates the hue of every pixel in HSV, giving the 
+	 * same results as ColorUtils.rotate.
+	 *
+	 * Required:
+	 *   [0] source: RGBA buffer
+	 *   [1] degrees
+	 *
+	 * Optional:
+	 *   [2] output: buffer to write to (default source)
+	 *
+	 * Returns: output
+	 */
+	ColorUtils.buffer.hueRotate = function (source, degrees, output) {
+		output = output || source;
+
+		var v = pixel;
+		for (var i = 0; i < source.length; i += 4) {
+			v[0] = source[i];
+			v[1] = source[i + 1];
+			v[2] = source[i + 2];
+
+			rgbToHsvInto(v);
+			v[0] = (v[0] + degrees) % 360;
+			v[0] = (v[0] < 0) ? v[0] + 360 : v[0];
+			hsvToRgbInto(v);
+
+			output[i] = v[0];
+			output[i + 1] = v[1];
+			output[i + 2] = v[2];
+			output[i + 3] = source[i + 3];
+		}
+
+		return output;
+	};
+
+	/* applyLut
+	 *
+	 * Colors single channel data (e.g. an EM image or a 
+	 * probability map) using an RGBA lookup table such 
+	 * as one from ColorUtils.scale.Scale.prototype.lut.
+	 *
+	 * Integer data indexes the table directly. Float data
+	 * is taken to be in [0, 1] and spread across the table.
+	 * NaNs become transparent black.
+	 *
+	 * Required:
+	 *   [0] source: one value per pixel
+	 *   [1] lut: RGBA table (4 entries per color)
+	 *
+	 * Optional:
+	 *   [2] output: RGBA buffer (default a new Uint8ClampedArray)
+	 *
+	 * Returns: output
+	 */
+	ColorUtils.buffer.applyLut = function (source, lut, output) {
+		output = output || new Uint8ClampedArray(source.length * 4);
+
+		var size = lut.length / 4;
+		var float = isFloatBuffer(source);
+
+		for (var i = 0; i < source.length; i++) {
+			var value = source[i];
+			var o = i * 4;
+
+			if (value !== value) { // NaN
+				output[o] = output[o + 1] = output[o + 2] = output[o + 3] = 0;
+				continue;
+			}
+
+			var index = float 
+				? Math.round(cutoff(value, 0, 1) * (size - 1))
+				: cutoff(value, 0, size - 1) | 0;
+
+			index *= 4;
+			output[o] = lut[index];
+			output[o + 1] = lut[index + 1];
+			output[o + 2] = lut[index + 2];
+			output[o + 3] = lut[index + 3];
+		}
+
+		return output;
+	};
+
+	/* simulate
+	 *
+	 * Buffer version of ColorUtils.simulate, e.g. to preview
+	 * a whole rendered tile as a color blind annotator sees it.
+	 *
+	 * Required:
+	 *   [0] source: RGBA buffer
+	 *   [1] deficiency: see ColorUtils.simulate
+	 *
+	 * Optional:
+	 *   [2] severity: [0, 1] (default see ColorUtils.simulate)
+	 *   [3] output: buffer to write to (default source)
+	 *
+	 * Returns: output
+	 */
+	ColorUtils.buffer.simulate = function (source, deficiency, severity, output) {
+		output = output || source;
+
+		var matrix = deficiencyMatrix(deficiency, severity);
+		var v = pixel;
+
+		for (var i = 0; i < source.length; i += 4) {
+			v[0] = source[i];
+			v[1] = source[i + 1];
+			v[2] = source[i + 2];
+
+			KERNELS.rgb.toLinear(v);
+			multiplyInto(matrix, v);
+
+			// Clipped rather than gamut mapped, as ColorUtils.simulate does
+			output[i] = cutoff(255 * delinearize(v[0]), 0, 255);
+			output[i + 1] = cutoff(255 * delinearize(v[1]), 0, 255);
+			output[i + 2] = cutoff(255 * delinearize(v[2]), 0, 255);
+			output[i + 3] = source[i + 3];
+		}
+
+		return output;
+	};
+
+	/* hexToRGB
+	 *
+	 * Given an HTML hex string like #B5DFEB,
+	 * convert to an RGB representation.
+	 *
+	 * Required:
+	 *  [0] hexstring
+	 *
+	 * Returns: { r, g, b }
+	 */
+	ColorUtils.hexToRGB = function (hexstring) {
+		hexstring = hexstring.replace(/^#/, ''); // e.g. #ffffff
+
+		var rhex = hexstring.substr(0, 2);
+		var ghex = hexstring.substr(2, 2);
+		var bhex = hexstring.substr(4, 2);
+
+		return {
+			r: parseInt(rhex, 16),
+			g: parseInt(ghex, 16),
+			b: parseInt(bhex, 16)
+		};
+	};
+
+	/* rgbToHex
+	 *
+	 * Takes {r,g,b} or {r,g,b,a} and returns
+	 * a CSS style hex string (e.g. #ff93b3).
+	 * If a < 1, the 8 digit form is used (e.g. #ff93b380).
+	 *
+	 * Required: {r,g,b}
+	 *
+	 * Returns: "#ff93b3"
+	 */
+	ColorUtils.rgbToHex = function (rgb) {
+		return ColorUtils.format(rgb, 'hex');
+	};
+
+	/* format
+	 *
+	 * Serializes a color as a CSS string. The output of every 
+	 * format can be read back in by ColorUtils.parse, recovering
+	 * the color to within the requested precision.
+	 *
+	 * e.g. ColorUtils.format('tomato', { format: 'oklch' }) 
+	 *   => 'oklch(69.622% 0.19552 32.321)'
+	 *
+	 * Formats:
+	 *   'hex': #rrggbb or #rrggbbaa (default)
+	 *   'hex-short': #rgb or #rgba when lossless, else as 'hex'
+	 *   'hex8': always #rrggbbaa
+	 *   'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'
+	 *   'display-p3', 'rec2020', 'srgb', 'srgb-linear', 'xyz': as color(...)
+	 *
+	 * Required:
+	 *   [0] color: anything ColorUtils.convert understands
+	 *
+	 * Optional:
+	 *   [1] options: (or just the format as a string)
+	 *     format: see above (default 'hex')
+	 *     precision: decimal places for each component (default 3, 
+	 *       5 for formats whose components are in [0, 1])
+	 *     alpha: true to always include it, false to never,
+	 *       or 'auto' to include it only if < 1 (default 'auto')
+	 *
+	 * Returns: CSS color string
+	 */
+	ColorUtils.format = function (color, options) {
+		if (typeof(options) === 'string') {
+			options = { format: options };
+		}
+		options = options || {};
+
+		if (typeof(color) === 'string') {
+			color = parseColor(color);
+		}
+
+		var name = options.format || 'hex';
+		if (!FORMATS.hasOwnProperty(name)) {
+			throw name + " is not a known color format.";
+		}
+
+		var fmt = FORMATS[name];
+		var precision = (options.precision === undefined) ? fmt.precision : options.precision;
+
+		var alpha = SPACES[spaceOf(color)].tagged ? color.alpha : color.a;
+		alpha = (alpha === undefined) ? 1 : cutoff(alpha, 0, 1);
+
+		// 'auto' goes by alpha as it would be written, so that 
+		// e.g. 0.999 in hex (ff) doesn't come out as #rrggbbff
+		var written = fmt.hex
+			? Math.round(alpha * 255) / 255
+			: parseFloat(formatNumber(alpha, Math.max(precision, 3)));
+
+		var showalpha = (options.alpha === true) 
+			|| (options.alpha !== false && written < 1);
+
+		var converted = ColorUtils.convert(color, fmt.space);
+		// Components scaled up from [0, 1] (percentages, hues) 
+		// pass how many of the places to give up so they keep 
+		// the same significance as the rest.
+		var number = function (x, fewer) {
+			return formatNumber(x, Math.max(precision - (fewer || 0), 0));
+		};
+
+		if (fmt.hex) {
+			return fmt.hex(converted, alpha, options.alpha === false ? false : (showalpha || name === 'hex8'));
+		}
+
+		var components = fmt.components(converted, number).join(' ');
+		var suffix = showalpha 
+			? ' / ' + formatNumber(alpha, Math.max(precision, 3))
+			: '';
+
+		return fmt.wrap(components + suffix);
+	};
+
+	/* parseRGBA
+	 * 
+	 * Parses 'rgba(2, 3, 4, 0.5)' and 'rgb(1, 3, 4)'.
+	 * If the input is rgb rather than rgba, a will
+	 * default to 1 in the output. 
+	 *
+	 * Kept for backwards compatibility, this is now 
+	 * a thin wrapper around ColorUtils.parse.
+	 *
+	 * Required:
+	 *  [0] spec: The color specification
+	 *
+	 * Returns: { r, g, b, a }
+	 */
+	ColorUtils.parseRGBA = function (spec) {
+		return ColorUtils.parse(spec);
+	};
+
+	/* parse
+	 *
+	 * Parses any CSS Color Level 4 sRGB color specification
+	 * into a normalized RGBA representation.
+	 *
+	 * Accepts:
+	 *   #rgb, #rgba, #rrggbb, #rrggbbaa
+	 *   rgb() / rgba() with numbers or percentages in either
+	 *     the legacy comma syntax or the space / slash syntax
+	 *   hsl() / hsla() with hues in deg, rad, grad, or turn
+	 *   hwb()
+	 *   lab(), lch(), oklab(), oklch()
+	 *   color() in srgb, srgb-linear, display-p3, rec2020, xyz, xyz-d65, or xyz-d50
+	 *   transparent and the CSS named colors (e.g. 'rebeccapurple')
+	 *
+	 * Anything produced by ColorUtils.format can be parsed.
+	 * Colors outside of sRGB are gamut mapped into it (see 
+	 * ColorUtils.toGamut). Passing the string itself to 
+	 * ColorUtils.convert and friends keeps them intact.
+	 *
+	 * Required:
+	 *  [0] spec: The color specification (case insensitive)
+	 *
+	 * Returns: { r, g, b, a } r,g,b in [0, 255], a in [0, 1]
+	 */
+	ColorUtils.parse = function (spec) {
+		return ColorUtils.toRGB(parseColor(spec));
+	};
+
+	/* parseColor
+	 *
+	 * The guts of ColorUtils.parse. Colors given in spaces 
+	 * beyond sRGB are left in their tagged forms so that 
+	 * nothing is lost to gamut mapping.
+	 *
+	 * Required:
+	 *  [0] spec: The color specification
+	 *
+	 * Returns: { r, g, b, a } or a tagged color with alpha
+	 */
+	function parseColor (spec) {
+		if (typeof(spec) !== 'string') {
+			throw spec + " is not a CSS color string.";
+		}
+
+		var str = spec.trim().toLowerCase();
+		var color = null;
+
+		if (str === 'transparent') {
+			return { r: 0, g: 0, b: 0, a: 0 };
+		}
+		else if (NAMED_COLORS.hasOwnProperty(str)) {
+			return parseHex(NAMED_COLORS[str]);
+		}
+		else if (str.charAt(0) === '#') {
+			color = parseHex(str.substr(1));
+			if (color) {
+				return color;
+			}
+		}
+
+		var matches = str.match(/^([a-z]+)\((.*)\)$/);
+		var inner = matches ? matches[2] : '';
+		var colorspace = null;
+
+		if (matches && matches[1] === 'color') {
+			var named = inner.trim().match(/^([a-z0-9-]+)\s+(.*)$/);
+			colorspace = named ? named[1] : null;
+			inner = named ? named[2] : '';
+		}
+
+		var args = matches ? splitArguments(inner) : null;
+
+		if (!args) {
+			throw spec + " is not a recognized CSS color.";
+		}
+
+		var fn = matches[1];
+
+		if (fn === 'rgb' || fn === 'rgba') {
+			color = {
+				r: parseChannel(args.values[0], 255),
+				g: parseChannel(args.values[1], 255),
+				b: parseChannel(args.values[2], 255)
+			};
+
+			if (!isNaN(color.r) && !isNaN(color.g) && !isNaN(color.b)) {
+				color.r = cutoff(color.r, 0, 255);
+				color.g = cutoff(color.g, 0, 255);
+				color.b = cutoff(color.b, 0, 255);
+			}
+		}
+		else if (fn === 'hsl' || fn === 'hsla') {
+			color = hslChannels(
+				parseHue(args.values[0]),
+				parseChannel(args.values[1], 100) / 100,
+				parseChannel(args.values[2], 100) / 100
+			);
+		}
+		else if (fn === 'hwb') {
+			color = hwbChannels(
+				parseHue(args.values[0]),
+				parseChannel(args.values[1], 100) / 100,
+				parseChannel(args.values[2], 100) / 100
+			);
+		}
+		else {
+			color = parseTagged(fn, colorspace, args.values);
+		}
+
+		var alpha = (args.alpha === undefined) 
+			? 1 
+			: parseChannel(args.alpha, 1);
+
+		var invalid = !color || isNaN(alpha)
+			|| (!color.space && (isNaN(color.r) || isNaN(color.g) || isNaN(color.b)));
+
+		if (invalid) {
+			throw spec + " is not a recognized CSS color.";
+		}
+
+		color[color.space ? 'alpha' : 'a'] = cutoff(alpha, 0, 1);
+
+		return color;
+	}
+
+	/* parseHex
+	 *
+	 * Parses the digits of a 3, 4, 6, or 8 digit hex color.
+	 *
+	 * Required:
+	 *   [0] hex: e.g. 'f0c' or 'ff00cc80' (no leading #)
+	 *
+	 * Returns: { r, g, b, a } or null if not a valid hex color
+	 */
+	function parseHex (hex) {
+		if (!/^[0-9a-f]+$/i.test(hex)) {
+			return null;
+		}
+
+		if (hex.length === 3 || hex.length === 4) {
+			hex = hex.replace(/./g, '$&$&');
+		}
+		
+		if (hex.length !== 6 && hex.length !== 8) {
+			return null;
+		}
+
+		return {
+			r: parseInt(hex.substr(0, 2), 16),
+			g: parseInt(hex.substr(2, 2), 16),
+			b: parseInt(hex.substr(4, 2), 16),
+			a: hex.length === 8 
+				? parseInt(hex.substr(6, 2), 16) / 255
+				: 1
+		};
+	}
+
+	/* splitArguments
+	 *
+	 * Splits the inside of a CSS color function into its
+	 * three components and optional alpha. Handles both
+	 * 'a, b, c, d' and 'a b c / d' syntaxes.
+	 *
+	 * Required:
+	 *   [0] inner: e.g. '255 0 0 / 50%'
+	 *
+	 * Returns: { values: [3 tokens], alpha: token or undefined } or null
+	 */
+	function splitArguments (inner) {
+		var values, alpha;
+
+		inner = inner.trim();
+
+		if (inner.indexOf(',') !== -1) {
+			values = inner.split(',').map(function (token) { 
+				return token.trim(); 
+			});
+
+			if (values.length !== 3 && values.length !== 4) {
+				return null;
+			}
+
+			alpha = values[3];
+			values = values.slice(0, 3);
+		}
+		else {
+			var parts = inner.split('/');
+			if (parts.length > 2) {
+				return null;
+			}
+
+			values = parts[0].trim().split(/\s+/);
+			alpha = parts.length === 2 ? parts[1].trim() : undefined;
+		}
+
+		if (values.length !== 3 || alpha === '') {
+			return null;
+		}
+
+		return { values: values, alpha: alpha };
+	}
+
+	/* parseChannel
+	 *
+	 * Parses a CSS <number>, <percentage>, or 'none'.
+	 *
+	 * Required:
+	 *   [0] token: e.g. '128', '50%', '.5', 'none'
+	 *   [1] scale: The value that 100% corresponds to
+	 *
+	 * Returns: number (NaN if unparsable)
+	 */
+	function parseChannel (token, scale) {
+		if (token === 'none') {
+			return 0;
+		}
+
+		var matches = token.match(NUMBER_TOKEN);
+		if (!matches) {
+			return NaN;
+		}
+
+		var value = parseFloat(matches[1]);
+
+		if (matches[2] === '%') {
+			return value / 100 * scale;
+		}
+		else if (matches[2] === '') {
+			return value;
+		}
+
+		return NaN;
+	}
+
+	/* parseHue
+	 *
+	 * Parses a CSS <hue> which may be a bare number
+	 * (degrees) or an angle in deg, rad, grad, or turn.
+	 *
+	 * Required:
+	 *   [0] token: e.g. '120', '2.1rad', '0.25turn'
+	 *
+	 * Returns: degrees in [0, 360) (NaN if unparsable)
+	 */
+	function parseHue (token) {
+		if (token === 'none') {
+			return 0;
+		}
+
+		var matches = token.match(NUMBER_TOKEN);
+		if (!matches) {
+			return NaN;
+		}
+
+		var value = parseFloat(matches[1]);
+		var units = {
+			'': 1,
+			deg: 1,
+			grad: 360 / 400,
+			rad: 180 / Math.PI,
+			turn: 360
+		};
+
+		if (!units.hasOwnProperty(matches[2])) {
+			return NaN;
+		}
+
+		value = (value * units[matches[2]]) % 360;
+		return value < 0 ? value + 360 : value;
+	}
+
+	/* parseTagged
+	 *
+	 * Parses the arguments of the CSS color functions for 
+	 * spaces beyond sRGB into their tagged forms. 
+	 *
+	 * Percentages follow CSS Color Level 4 (e.g. 100% is
+	 * 125 for lab's a and b, 0.4 for oklch's chroma).
+	 *
+	 * Required:
+	 *   [0] fn: 'lab', 'lch', 'oklab', 'oklch', or 'color'
+	 *   [1] colorspace: the space named inside color() (else null)
+	 *   [2] values: three argument tokens
+	 *
+	 * Returns: tagged color or null if unparsable
+	 */
+	function parseTagged (fn, colorspace, values) {
+		var color = null;
+
+		if (fn === 'lab' || fn === 'oklab') {
+			var labscale = (fn === 'lab') ? 125 : 0.4;
+			var lmax = (fn === 'lab') ? 100 : 1;
+
+			color = {
+				space: fn,
+				l: cutoff(parseChannel(values[0], lmax), 0, lmax),
+				a: parseChannel(values[1], labscale),
+				b: parseChannel(values[2], labscale)
+			};
+		}
+		else if (fn === 'lch' || fn === 'oklch') {
+			var chromascale = (fn === 'lch') ? 150 : 0.4;
+			var lightmax = (fn === 'lch') ? 100 : 1;
+
+			color = {
+				space: fn,
+				l: cutoff(parseChannel(values[0], lightmax), 0, lightmax),
+				c: Math.max(0, parseChannel(values[1], chromascale)),
+				h: parseHue(values[2])
+			};
+		}
+		else if (fn === 'color' && COLOR_FUNCTION_SPACES.hasOwnProperty(colorspace)) {
+			var channels = values.map(function (token) {
+				return parseChannel(token, 1);
+			});
+
+			color = COLOR_FUNCTION_SPACES[colorspace].parse(channels);
+		}
+
+		if (!color) {
+			return null;
+		}
+
+		for (var key in color) {
+			if (color.hasOwnProperty(key) && key !== 'space' && isNaN(color[key])) {
+				return null;
+			}
+		}
+
+		return color;
+	}
+
+	/* hslChannels
+	 *
+	 * Converts HSL to RGB without the rounding done by 
+	 * ColorUtils.HSLtoRGB so that parsed values stay precise.
+	 * Algorithm from the CSS Color Level 4 specification.
+	 *
+	 * Required:
+	 *   [0] h: degrees
+	 *   [1] s: [0, 1]
+	 *   [2] l: [0, 1]
+	 *
+	 * Returns: {r,g,b} in [0, 255]
+	 */
+	function hslChannels (h, s, l) {
+		s = cutoff(s, 0, 1);
+		l = cutoff(l, 0, 1);
+
+		var f = function (n) {
+			var k = (n + h / 30) % 12;
+			var a = s * Math.min(l, 1 - l);
+			return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+		};
+
+		return { r: f(0), g: f(8), b: f(4) };
+	}
+
+	/* hwbChannels
+	 *
+	 * Converts Hue, Whiteness, Blackness to RGB.
+	 * If whiteness + blackness >= 1, the result is gray.
+	 *
+	 * Required:
+	 *   [0] h: degrees
+	 *   [1] w: [0, 1]
+	 *   [2] b: [0, 1]
+	 *
+	 * Returns: {r,g,b} in [0, 255]
+	 */
+	function hwbChannels (h, w, b) {
+		w = cutoff(w, 0, 1);
+		b = cutoff(b, 0, 1);
+
+		if (w + b >= 1) {
+			var gray = 255 * w / (w + b);
+			return { r: gray, g: gray, b: gray };
+		}
+
+		var rgb = hslChannels(h, 1, 0.5);
+		for (var component in rgb) {
+			if (!rgb.hasOwnProperty(component)) { continue; }
+
+			rgb[component] = rgb[component] * (1 - w - b) + 255 * w;
+		}
+
+		return rgb;
+	}
+
+	/* spaceOf
+	 *
+	 * Figures out which space an (object) color is in.
+	 *
+	 * Required:
+	 *   [0] color
+	 *
+	 * Returns: name of a space in SPACES
+	 */
+	function spaceOf (color) {
+		if (color.space !== undefined) {
+			if (!SPACES[color.space]) {
+				throw color.space + " is not a known color space.";
+			}
+			return color.space;
+		}
+		else if (color.r !== undefined) {
+			return 'rgb';
+		}
+		else if (color.h !== undefined && color.l !== undefined) {
+			return 'hsl';
+		}
+		else if (color.h !== undefined && color.v !== undefined) {
+			return 'hsv';
+		}
+
+		throw color + " is not in a known color form.";
+	}
+
+	/* interpolate
+	 *
+	 * Implements ColorUtils.average for a specified space.
+	 *
+	 * Required:
+	 *   [0] color1
+	 *   [1] color2
+	 *   [2] blending: [0, 1]
+	 *   [3] space
+	 *
+	 * Returns: color in the form of color1
+	 */
+	function interpolate (color1, color2, blending, space) {
+		var original = spaceOf(color1);
+
+		var c1 = ColorUtils.convert(color1, space);
+		var c2 = ColorUtils.convert(color2, space);
+
+		var hue = SPACES[space].hue;
+		var alphakey = SPACES[space].tagged ? 'alpha' : 'a';
+
+		var color = {};
+		for (var key in c1) {
+			if (!c1.hasOwnProperty(key)) { continue; }
+
+			if (key === 'space' || key === alphakey) {
+				color[key] = c1[key];
+			}
+			else if (hue && key === hue.angle) {
+				color[key] = mixHue(c1, c2, hue, blending);
+			}
+			else {
+				color[key] = ((1 - blending) * c1[key]) + (blending * c2[key]);
+			}
+		}
+
+		if (c1[alphakey] !== undefined || c2[alphakey] !== undefined) {
+			var a1 = (c1[alphakey] === undefined) ? 1 : c1[alphakey];
+			var a2 = (c2[alphakey] === undefined) ? 1 : c2[alphakey];
+			color[alphakey] = ((1 - blending) * a1) + (blending * a2);
+		}
+
+		return ColorUtils.convert(color, original);
+	}
+
+	/* mixHue
+	 *
+	 * Interpolates hue along the shorter arc. If one of the
+	 * colors is achromatic its hue is meaningless, so the
+	 * other color's hue is used.
+	 *
+	 * Required:
+	 *   [0] c1
+	 *   [1] c2
+	 *   [2] hue: { angle, chroma } key names
+	 *   [3] blending: [0, 1]
+	 *
+	 * Returns: degrees in [0, 360)
+	 */
+	function mixHue (c1, c2, hue, blending) {
+		var h1 = c1[hue.angle];
+		var h2 = c2[hue.angle];
+
+		var achromatic1 = (h1 === undefined || isNaN(h1) || c1[hue.chroma] < 1e-6);
+		var achromatic2 = (h2 === undefined || isNaN(h2) || c2[hue.chroma] < 1e-6);
+
+		if (achromatic1 && achromatic2) {
+			return 0;
+		}
+		else if (achromatic1) {
+			return h2;
+		}
+		else if (achromatic2) {
+			return h1;
+		}
+
+		var delta = (h2 - h1) % 360;
+		if (delta > 180) {
+			delta -= 360;
+		}
+		else if (delta < -180) {
+			delta += 360;
+		}
+
+		var h = (h1 + blending * delta) % 360;
+		return h < 0 ? h + 360 : h;
+	}
+
+	/* SPACES
+	 *
+	 * Each space knows how to get to and from linear sRGB 
+	 * which serves as the hub for all conversions.
+	 *
+	 * tagged: whether the form carries a 'space' key
+	 * hue: the keys for hue and chroma in cylindrical spaces
+	 */
+	var SPACES = {
+		rgb: {
+			tagged: false,
+			toLinear: function (c) { return ColorUtils.RGBtoLinearRGB(c.r, c.g, c.b); },
+			fromLinear: function (c) { 
+				c = gamutMap(c, 'rgb');
+				return ColorUtils.LinearRGBtoRGB(c.r, c.g, c.b); 
+			}
+		},
+		hsl: {
+			tagged: false,
+			hue: { angle: 'h', chroma: 's' },
+			toLinear: function (c) { 
+				var rgb = hslChannels(c.h, c.s, c.l);
+				return ColorUtils.RGBtoLinearRGB(rgb.r, rgb.g, rgb.b); 
+			},
+			fromLinear: function (c) { 
+				var rgb = SPACES.rgb.fromLinear(c);
+				return ColorUtils.RGBtoHSL(rgb.r, rgb.g, rgb.b);
+			}
+		},
+		hsv: {
+			tagged: false,
+			hue: { angle: 'h', chroma: 's' },
+			toLinear: function (c) { 
+				var rgb = ColorUtils.HSVtoRGB(c.h, c.s, c.v);
+				return ColorUtils.RGBtoLinearRGB(rgb.r, rgb.g, rgb.b); 
+			},
+			fromLinear: function (c) { 
+				var rgb = SPACES.rgb.fromLinear(c);
+				return ColorUtils.RGBtoHSV(rgb.r, rgb.g, rgb.b);
+			}
+		},
+		'linear-rgb': {
+			tagged: true,
+			toLinear: function (c) { return { space: 'linear-rgb', r: c.r, g: c.g, b: c.b }; },
+			fromLinear: function (c) { return { space: 'linear-rgb', r: c.r, g: c.g, b: c.b }; }
+		},
+		xyz: {
+			tagged: true,
+			toLinear: function (c) { return ColorUtils.XYZtoLinearRGB(c.x, c.y, c.z); },
+			fromLinear: function (c) { return ColorUtils.LinearRGBtoXYZ(c.r, c.g, c.b); }
+		},
+		lab: {
+			tagged: true,
+			toLinear: function (c) { 
+				var xyz = ColorUtils.LabtoXYZ(c.l, c.a, c.b);
+				return ColorUtils.XYZtoLinearRGB(xyz.x, xyz.y, xyz.z);
+			},
+			fromLinear: function (c) { 
+				var xyz = ColorUtils.LinearRGBtoXYZ(c.r, c.g, c.b);
+				return ColorUtils.XYZtoLab(xyz.x, xyz.y, xyz.z);
+			}
+		},
+		lch: {
+			tagged: true,
+			hue: { angle: 'h', chroma: 'c' },
+			toLinear: function (c) { 
+				var lab = ColorUtils.LChtoLab(c.l, c.c, c.h);
+				return SPACES.lab.toLinear(lab);
+			},
+			fromLinear: function (c) { 
+				var lab = SPACES.lab.fromLinear(c);
+				return ColorUtils.LabtoLCh(lab.l, lab.a, lab.b);
+			}
+		},
+		oklab: {
+			tagged: true,
+			toLinear: function (c) { return ColorUtils.OKLabtoLinearRGB(c.l, c.a, c.b); },
+			fromLinear: function (c) { return ColorUtils.LinearRGBtoOKLab(c.r, c.g, c.b); }
+		},
+		oklch: {
+			tagged: true,
+			hue: { angle: 'h', chroma: 'c' },
+			toLinear: function (c) { 
+				var lab = ColorUtils.OKLChtoOKLab(c.l, c.c, c.h);
+				return ColorUtils.OKLabtoLinearRGB(lab.l, lab.a, lab.b);
+			},
+			fromLinear: function (c) { 
+				var lab = ColorUtils.LinearRGBtoOKLab(c.r, c.g, c.b);
+				return ColorUtils.OKLabtoOKLCh(lab.l, lab.a, lab.b);
+			}
+		},
+		'display-p3': {
+			tagged: true,
+			toLinear: function (c) {
+				var rgb = [ linearize(c.r), linearize(c.g), linearize(c.b) ];
+				rgb = multiply(XYZ_TO_LINEAR_RGB, multiply(LINEAR_P3_TO_XYZ, rgb));
+				return { space: 'linear-rgb', r: rgb[0], g: rgb[1], b: rgb[2] };
+			},
+			fromLinear: function (c) {
+				var p3 = multiply(XYZ_TO_LINEAR_P3, multiply(LINEAR_RGB_TO_XYZ, [ c.r, c.g, c.b ]));
+				return { space: 'display-p3', r: delinearize(p3[0]), g: delinearize(p3[1]), b: delinearize(p3[2]) };
+			}
+		},
+		rec2020: {
+			tagged: true,
+			toLinear: function (c) {
+				var rgb = [ linearize2020(c.r), linearize2020(c.g), linearize2020(c.b) ];
+				rgb = multiply(XYZ_TO_LINEAR_RGB, multiply(LINEAR_2020_TO_XYZ, rgb));
+				return { space: 'linear-rgb', r: rgb[0], g: rgb[1], b: rgb[2] };
+			},
+			fromLinear: function (c) {
+				var rgb = multiply(XYZ_TO_LINEAR_2020, multiply(LINEAR_RGB_TO_XYZ, [ c.r, c.g, c.b ]));
+				return { space: 'rec2020', r: delinearize2020(rgb[0]), g: delinearize2020(rgb[1]), b: delinearize2020(rgb[2]) };
+			}
+		}
+	};
+
+	/* rotateIn
+	 *
+	 * Rotates hue in either HSL (via ColorUtils.rotate) or 
+	 * OKLCh (keeping lightness and, where possible, chroma).
+	 *
+	 * Required:
+	 *   [0] rgb: {r,g,b}
+	 *   [1] degrees
+	 *   [2] space: 'hsl' or 'oklch'
+	 *
+	 * Returns: {r,g,b} integer channels
+	 */
+	function rotateIn (rgb, degrees, space) {
+		if (space === 'hsl') {
+			return roundRGB(ColorUtils.rotate(degrees, rgb));
+		}
+
+		var lch = ColorUtils.toOKLCh(rgb);
+		var h = (lch.h + degrees) % 360;
+		h = (h < 0) ? h + 360 : h;
+
+		return roundRGB(ColorUtils.convert(fitChroma(lch.l, lch.c, h), 'rgb'));
+	}
+
+	/* paletteCandidates
+	 *
+	 * Lays out roughly count OKLCh colors on a grid within 
+	 * the given bounds, keeping those inside the sRGB gamut.
+	 *
+	 * Required:
+	 *   [0] count
+	 *   [1] lightness: [min, max]
+	 *   [2] chroma: [min, max]
+	 *
+	 * Returns: [ { space: 'oklab', l, a, b, c }, ... ]
+	 */
+	function paletteCandidates (count, lightness, chroma) {
+		var steps = Math.ceil(cbrt(count / 9));
+		var hues = 9 * steps;
+
+		var spread = function (range, i) {
+			return steps === 1 
+				? (range[0] + range[1]) / 2 
+				: range[0] + (range[1] - range[0]) * i / (steps - 1);
+		};
+
+		var candidates = [];
+		for (var li = 0; li < steps; li++) {
+			for (var ci = 0; ci < steps; ci++) {
+				for (var hi = 0; hi < hues; hi++) {
+					var c = spread(chroma, ci);
+					var lab = ColorUtils.OKLChtoOKLab(spread(lightness, li), c, hi * 360 / hues);
+
+					if (ColorUtils.inGamut(lab)) {
+						lab.c = c;
+						candidates.push(lab);
+					}
+				}
+			}
+		}
+
+		return candidates;
+	}
+
+	/* fitChroma
+	 *
+	 * Reduces the chroma of an OKLCh color until it is 
+	 * within the sRGB gamut, keeping lightness and hue.
+	 *
+	 * Required:
+	 *   [0-2] l, c, h
+	 *
+	 * Returns: { space: 'oklab', l, a, b }
+	 */
+	function fitChroma (l, c, h) {
+		var lab = ColorUtils.OKLChtoOKLab(l, c, h);
+		if (ColorUtils.inGamut(lab)) {
+			return lab;
+		}
+
+		var low = 0, high = c;
+		for (var i = 0; i < 20; i++) {
+			var mid = (low + high) / 2;
+			if (ColorUtils.inGamut(ColorUtils.OKLChtoOKLab(l, mid, h))) {
+				low = mid;
+			}
+			else {
+				high = mid;
+			}
+		}
+
+		return ColorUtils.OKLChtoOKLab(l, low, h);
+	}
+
+	/* oklabDistance
+	 *
+	 * Euclidean distance between two OKLab colors.
+	 */
+	function oklabDistance (lab1, lab2) {
+		var dl = lab1.l - lab2.l;
+		var da = lab1.a - lab2.a;
+		var db = lab1.b - lab2.b;
+
+		return Math.sqrt(dl * dl + da * da + db * db);
+	}
+
+	/* roundRGB
+	 *
+	 * Rounds the channels of an {r,g,b} color to integers.
+	 */
+	function roundRGB (rgb) {
+		return { 
+			r: Math.round(rgb.r), 
+			g: Math.round(rgb.g), 
+			b: Math.round(rgb.b) 
+		};
+	}
+
+	/* splitId
+	 *
+	 * Splits an unsigned 64-bit ID into two 32-bit words
+	 * without relying on BigInt.
+	 *
+	 * Required:
+	 *   [0] id: non-negative integer or decimal string
+	 *
+	 * Returns: [ hi, lo ]
+	 */
+	function splitId (id) {
+		if (typeof(id) === 'number') {
+			if (id < 0 || Math.floor(id) !== id) {
+				throw id + " is not a valid segment ID.";
+			}
+
+			return [ Math.floor(id / 4294967296) >>> 0, (id % 4294967296) >>> 0 ];
+		}
+
+		id = String(id);
+		if (!/^\d+$/.test(id)) {
+			throw id + " is not a valid segment ID.";
+		}
+
+		var limbs = [ 0, 0, 0, 0 ]; // 16 bits each, least significant first
+		for (var i = 0; i < id.length; i++) {
+			var carry = parseInt(id.charAt(i), 10);
+			for (var j = 0; j < limbs.length; j++) {
+				var value = limbs[j] * 10 + carry;
+				limbs[j] = value & 0xffff;
+				carry = value >>> 16;
+			}
+
+			if (carry) {
+				throw id + " is larger than 64 bits.";
+			}
+		}
+
+		return [ 
+			(limbs[3] * 65536 + limbs[2]) >>> 0, 
+			(limbs[1] * 65536 + limbs[0]) >>> 0 
+		];
+	}
+
+	/* imul
+	 *
+	 * 32-bit integer multiplication (Math.imul isn't in ECMAScript 5).
+	 */
+	function imul (a, b) {
+		var ah = (a >>> 16) & 0xffff, al = a & 0xffff;
+		var bh = (b >>> 16) & 0xffff, bl = b & 0xffff;
+
+		return ((al * bl) + (((ah * bl + al * bh) << 16) >>> 0)) | 0;
+	}
+
+	/* fmix32
+	 *
+	 * The MurmurHash3 finalizer. Scrambles the bits of a 32-bit integer.
+	 */
+	function fmix32 (h) {
+		h ^= h >>> 16;
+		h = imul(h, 0x85ebca6b);
+		h ^= h >>> 13;
+		h = imul(h, 0xc2b2ae35);
+		h ^= h >>> 16;
+
+		return h >>> 0;
+	}
+
+	/* opaquePair
+	 *
+	 * If the foreground is translucent, composites it over the
+	 * background (as a browser would, in gamma encoded sRGB)
+	 * so that contrast can be measured.
+	 *
+	 * Required:
+	 *   [0] foreground
+	 *   [1] background
+	 *
+	 * Returns: [ foreground, background ] as {r,g,b}
+	 */
+	function opaquePair (foreground, background) {
+		var fg = ColorUtils.toRGB(foreground);
+		var bg = ColorUtils.toRGB(background);
+
+		var alpha = (fg.a === undefined) ? 1 : fg.a;
+
+		return [
+			{
+				r: alpha * fg.r + (1 - alpha) * bg.r,
+				g: alpha * fg.g + (1 - alpha) * bg.g,
+				b: alpha * fg.b + (1 - alpha) * bg.b
+			},
+			bg
+		];
+	}
+
+	/* apcaLuminance
+	 *
+	 * APCA's estimate of screen luminance with a soft clamp 
+	 * near black.
+	 *
+	 * Required:
+	 *   [0] rgb: {r,g,b}
+	 *
+	 * Returns: Y
+	 */
+	function apcaLuminance (rgb) {
+		var y = 0.2126729 * Math.pow(rgb.r / 255, 2.4) 
+			+ 0.7151522 * Math.pow(rgb.g / 255, 2.4) 
+			+ 0.0721750 * Math.pow(rgb.b / 255, 2.4);
+
+		return (y < 0.022) 
+			? y + Math.pow(0.022 - y, 1.414) 
+			: y;
+	}
+
+	/* metricFunction
+	 *
+	 * Required:
+	 *   [0] metric: see ColorUtils.deltaE
+	 *
+	 * Returns: function (color1, color2) => distance
+	 */
+	function metricFunction (metric) {
+		if (typeof(metric) === 'function') {
+			return metric;
+		}
+
+		var metrics = {
+			'76': ColorUtils.deltaE76,
+			'94': ColorUtils.deltaE94,
+			'2000': ColorUtils.deltaE2000,
+			ok: function (color1, color2) {
+				return 100 * oklabDistance(ColorUtils.toOKLab(color1), ColorUtils.toOKLab(color2));
+			}
+		};
+
+		metric = (metric === undefined) ? '2000' : String(metric);
+
+		if (!metrics.hasOwnProperty(metric)) {
+			throw metric + " is not a known color difference metric.";
+		}
+
+		return metrics[metric];
+	}
+
+	/* namedLab
+	 *
+	 * Cached Lab values for the named colors since 
+	 * ColorUtils.nearest would otherwise convert all 
+	 * of them on every call.
+	 *
+	 * Required:
+	 *   [0] name
+	 *
+	 * Returns: { space: 'lab', l, a, b }
+	 */
+	var namedLabCache = {};
+	function namedLab (name) {
+		if (!namedLabCache[name]) {
+			namedLabCache[name] = ColorUtils.toLab(parseHex(NAMED_COLORS[name]));
+		}
+
+		return namedLabCache[name];
+	}
+
+	/* derive
+	 *
+	 * Creates a new Color from the result of an operation
+	 * on an existing one, keeping its opacity.
+	 *
+	 * Required:
+	 *   [0] original: Color
+	 *   [1] rgb: {r,g,b}
+	 *
+	 * Returns: new Color
+	 */
+	function derive (original, rgb) {
+		return new ColorUtils.Color({ r: rgb.r, g: rgb.g, b: rgb.b, a: original.a });
+	}
+
+	// Scratch space so that compositing allocates nothing per pixel
+	var blended = [ 0, 0, 0 ];
+	var fractions = [ 0, 0 ];
+
+	/* compositePixel
+	 *
+	 * Implements the general compositing formula from W3C 
+	 * Compositing and Blending Level 1 for a single pixel.
+	 *
+	 *   Cs' = (1 - ab) * Cs + ab * B(Cb, Cs)
+	 *   co = as * Fa * Cs' + ab * Fb * Cb
+	 *   ao = as * Fa + ab * Fb
+	 *
+	 * Required:
+	 *   [0] src: [r, g, b, a] straight alpha in [0, 1]
+	 *   [1] dst: [r, g, b, a] straight alpha in [0, 1]
+	 *   [2] blendfn: from blendFunction
+	 *   [3] factors: from compositeFactors
+	 *   [4] out: [r, g, b, a] written to (straight alpha)
+	 *
+	 * Returns: void
+	 */
+	function compositePixel (src, dst, blendfn, factors, out) {
+		var as = src[3], ab = dst[3];
+
+		blendfn(dst, src, blended);
+		factors(as, ab, fractions);
+
+		var fa = fractions[0];
+		var fb = fractions[1];
+		var ao = as * fa + ab * fb;
+
+		for (var i = 0; i < 3; i++) {
+			var cs = (1 - ab) * src[i] + ab * blended[i];
+			var co = as * fa * cs + ab * fb * dst[i];
+			out[i] = (ao > 0) ? cutoff(co / ao, 0, 1) : 0;
+		}
+		
+		out[3] = cutoff(ao, 0, 1);
+	}
+
+	/* compositeFactors
+	 *
+	 * Required:
+	 *   [0] operator: Porter-Duff operator name
+	 *
+	 * Returns: function (as, ab, out) writing [ Fa, Fb ] into out
+	 */
+	function compositeFactors (operator) {
+		var operators = {
+			over: function (as, ab, out) { out[0] = 1; out[1] = 1 - as; },
+			'in': function (as, ab, out) { out[0] = ab; out[1] = 0; },
+			out: function (as, ab, out) { out[0] = 1 - ab; out[1] = 0; },
+			atop: function (as, ab, out) { out[0] = ab; out[1] = 1 - as; },
+			xor: function (as, ab, out) { out[0] = 1 - ab; out[1] = 1 - as; }
+		};
+
+		if (!operators.hasOwnProperty(operator)) {
+			throw operator + " is not a known compositing operator.";
+		}
+
+		return operators[operator];
+	}
+
+	/* blendFunction
+	 *
+	 * Separable modes are applied channel by channel. The 
+	 * non-separable ones (hue, saturation, color, luminosity)
+	 * work on the whole color at once.
+	 *
+	 * Required:
+	 *   [0] mode: blend mode name
+	 *
+	 * Returns: function (backdrop, source, out) writing [r, g, b] into out
+	 */
+	function blendFunction (mode) {
+		var separable = {
+			normal: function (cb, cs) { return cs; },
+			multiply: function (cb, cs) { return cb * cs; },
+			screen: function (cb, cs) { return cb + cs - cb * cs; },
+			overlay: function (cb, cs) { return separable['hard-light'](cs, cb); },
+			darken: function (cb, cs) { return Math.min(cb, cs); },
+			lighten: function (cb, cs) { return Math.max(cb, cs); },
+			'color-dodge': function (cb, cs) {
+				if (cb === 0) {
+					return 0;
+				}
+				return (cs === 1) ? 1 : Math.min(1, cb / (1 - cs));
+			},
+			'color-burn': function (cb, cs) {
+				if (cb === 1) {
+					return 1;
+				}
+				return (cs === 0) ? 0 : 1 - Math.min(1, (1 - cb) / cs);
+			},
+			'hard-light': function (cb, cs) {
+				return (cs <= 0.5)
+					? cb * 2 * cs
+					: separable.screen(cb, 2 * cs - 1);
+			},
+			'soft-light': function (cb, cs) {
+				if (cs <= 0.5) {
+					return cb - (1 - 2 * cs) * cb * (1 - cb);
+				}
+
+				var d = (cb <= 0.25)
+					? ((16 * cb - 12) * cb + 4) * cb
+					: Math.sqrt(cb);
+
+				return cb + (2 * cs - 1) * (d - cb);
+			},
+			difference: function (cb, cs) { return Math.abs(cb - cs); },
+			exclusion: function (cb, cs) { return cb + cs - 2 * cb * cs; }
+		};
+
+		var nonseparable = {
+			hue: function (cb, cs, out) { 
+				setSat(cs, sat(cb), out);
+				setLum(out, lum(cb), out);
+			},
+			saturation: function (cb, cs, out) { 
+				setSat(cb, sat(cs), out);
+				setLum(out, lum(cb), out);
+			},
+			color: function (cb, cs, out) { 
+				setLum(cs, lum(cb), out); 
+			},
+			luminosity: function (cb, cs, out) { 
+				setLum(cb, lum(cs), out); 
+			}
+		};
+
+		if (separable.hasOwnProperty(mode)) {
+			var fn = separable[mode];
+			return function (cb, cs, out) {
+				out[0] = fn(cb[0], cs[0]);
+				out[1] = fn(cb[1], cs[1]);
+				out[2] = fn(cb[2], cs[2]);
+			};
+		}
+		else if (nonseparable.hasOwnProperty(mode)) {
+			return nonseparable[mode];
+		}
+
+		throw mode + " is not a known blend mode.";
+	}
+
+	/* lum, setLum, sat, setSat
+	 *
+	 * Helpers for the non-separable blend modes as 
+	 * defined in W3C Compositing and Blending Level 1.
+	 * Colors are [r, g, b] in [0, 1].
+	 */
+	function lum (c) {
+		return 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+	}
+
+	function setLum (c, l, out) {
+		var d = l - lum(c);
+		out[0] = c[0] + d;
+		out[1] = c[1] + d;
+		out[2] = c[2] + d;
+
+		// ClipColor
+		l = lum(out);
+		var n = Math.min(out[0], out[1], out[2]);
+		var x = Math.max(out[0], out[1], out[2]);
+
+		for (var i = 0; i < 3; i++) {
+			if (n < 0) {
+				out[i] = l + (out[i] - l) * l / (l - n);
+			}
+			if (x > 1) {
+				out[i] = l + (out[i] - l) * (1 - l) / (x - l);
+			}
+		}
+	}
+
+	function sat (c) {
+		return Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+	}
+
+	function setSat (c, s, out) {
+		var max = Math.max(c[0], c[1], c[2]);
+		var min = Math.min(c[0], c[1], c[2]);
+		var r = c[0], g = c[1], b = c[2];
+
+		// max => s, min => 0, and mid is scaled in between
+		var scale = function (x) {
+			return (max === min) ? 0 : (x - min) * s / (max - min);
+		};
+
+		out[0] = scale(r);
+		out[1] = scale(g);
+		out[2] = scale(b);
+	}
+
+	/* readPixel
+	 *
+	 * Reads an RGBA pixel from a buffer into [0, 1] 
+	 * straight alpha.
+	 *
+	 * Required:
+	 *   [0] buffer
+	 *   [1] offset
+	 *   [2] scale: 255 for integer buffers, 1 for floats
+	 *   [3] premultiplied: whether the buffer is premultiplied
+	 *   [4] out: [r, g, b, a]
+	 *
+	 * Returns: void
+	 */
+	function readPixel (buffer, offset, scale, premultiplied, out) {
+		var alpha = buffer[offset + 3] / scale;
+		var divisor = (premultiplied && alpha > 0) ? alpha : 1;
+
+		out[0] = buffer[offset] / scale / divisor;
+		out[1] = buffer[offset + 1] / scale / divisor;
+		out[2] = buffer[offset + 2] / scale / divisor;
+		out[3] = alpha;
+	}
+
+	/* isFloatBuffer
+	 *
+	 * Returns: whether the buffer stores [0, 1] floats
+	 *   rather than [0, 255] integers
+	 */
+	function isFloatBuffer (buffer) {
+		return buffer instanceof Float32Array || buffer instanceof Float64Array;
+	}
+
+	// Scratch space so that buffer operations allocate nothing per pixel
+	var pixel = [ 0, 0, 0 ];
+
+	/* mapChannels
+	 *
+	 * Applies fn to the RGB channels of every pixel of an 
+	 * RGBA buffer, clamping to [0, 255].
+	 *
+	 * Required:
+	 *   [0] source
+	 *   [1] output: (default source)
+	 *   [2] fn: function (channel) => channel
+	 *
+	 * Returns: output
+	 */
+	function mapChannels (source, output, fn) {
+		output = output || source;
+
+		for (var i = 0; i < source.length; i += 4) {
+			output[i] = cutoff(fn(source[i]), 0, 255);
+			output[i + 1] = cutoff(fn(source[i + 1]), 0, 255);
+			output[i + 2] = cutoff(fn(source[i + 2]), 0, 255);
+			output[i + 3] = source[i + 3];
+		}
+
+		return output;
+	}
+
+	/* kernel
+	 *
+	 * Required:
+	 *   [0] space: name of a space
+	 *
+	 * Returns: { toLinear, fromLinear } working in place on [x, y, z]
+	 */
+	function kernel (space) {
+		if (!KERNELS.hasOwnProperty(space)) {
+			throw space + " is not a known color space.";
+		}
+
+		return KERNELS[space];
+	}
+
+	/* KERNELS
+	 *
+	 * Array based, in place equivalents of SPACES for use on 
+	 * buffers. Each takes a three element array in the units 
+	 * of the object form and overwrites it. The gamma encoded
+	 * spaces can also go to and from rgb directly.
+	 */
+	var KERNELS = {
+		rgb: {
+			toRGB: function (v) {},
+			fromRGB: function (v) {},
+			toLinear: function (v) {
+				v[0] = linearizeChannel(v[0]);
+				v[1] = linearizeChannel(v[1]);
+				v[2] = linearizeChannel(v[2]);
+			},
+			fromLinear: function (v) {
+				gamutMapInto(v);
+
+				v[0] = cutoff(255 * delinearize(v[0]), 0, 255);
+				v[1] = cutoff(255 * delinearize(v[1]), 0, 255);
+				v[2] = cutoff(255 * delinearize(v[2]), 0, 255);
+			}
+		},
+		hsl: {
+			toRGB: hslToRgbInto,
+			fromRGB: rgbToHslInto,
+			toLinear: function (v) {
+				hslToRgbInto(v);
+				KERNELS.rgb.toLinear(v);
+			},
+			fromLinear: function (v) {
+				KERNELS.rgb.fromLinear(v);
+				rgbToHslInto(v);
+			}
+		},
+		hsv: {
+			toRGB: hsvToRgbInto,
+			fromRGB: rgbToHsvInto,
+			toLinear: function (v) {
+				hsvToRgbInto(v);
+				KERNELS.rgb.toLinear(v);
+			},
+			fromLinear: function (v) {
+				KERNELS.rgb.fromLinear(v);
+				rgbToHsvInto(v);
+			}
+		},
+		'linear-rgb': {
+			toLinear: function (v) {},
+			fromLinear: function (v) {}
+		},
+		xyz: {
+			toLinear: function (v) {
+				multiplyInto(XYZ_TO_LINEAR_RGB, v);
+			},
+			fromLinear: function (v) {
+				multiplyInto(LINEAR_RGB_TO_XYZ, v);
+			}
+		},
+		lab: {
+			toLinear: function (v) {
+				labToXyzInto(v);
+				multiplyInto(XYZ_TO_LINEAR_RGB, v);
+			},
+			fromLinear: function (v) {
+				multiplyInto(LINEAR_RGB_TO_XYZ, v);
+				xyzToLabInto(v);
+			}
+		},
+		lch: {
+			toLinear: function (v) {
+				cartesianInto(v);
+				KERNELS.lab.toLinear(v);
+			},
+			fromLinear: function (v) {
+				KERNELS.lab.fromLinear(v);
+				polarInto(v);
+			}
+		},
+		oklab: {
+			toLinear: function (v) {
+				multiplyInto(OKLAB_TO_LMS, v);
+				v[0] = v[0] * v[0] * v[0];
+				v[1] = v[1] * v[1] * v[1];
+				v[2] = v[2] * v[2] * v[2];
+				multiplyInto(LMS_TO_LINEAR_RGB, v);
+			},
+			fromLinear: function (v) {
+				multiplyInto(LINEAR_RGB_TO_LMS, v);
+				v[0] = cbrt(v[0]);
+				v[1] = cbrt(v[1]);
+				v[2] = cbrt(v[2]);
+				multiplyInto(LMS_TO_OKLAB, v);
+			}
+		},
+		oklch: {
+			toLinear: function (v) {
+				cartesianInto(v);
+				KERNELS.oklab.toLinear(v);
+			},
+			fromLinear: function (v) {
+				KERNELS.oklab.fromLinear(v);
+				polarInto(v);
+			}
+		},
+		'display-p3': {
+			toLinear: function (v) {
+				v[0] = linearize(v[0]);
+				v[1] = linearize(v[1]);
+				v[2] = linearize(v[2]);
+				multiplyInto(LINEAR_P3_TO_XYZ, v);
+				multiplyInto(XYZ_TO_LINEAR_RGB, v);
+			},
+			fromLinear: function (v) {
+				multiplyInto(LINEAR_RGB_TO_XYZ, v);
+				multiplyInto(XYZ_TO_LINEAR_P3, v);
+				v[0] = delinearize(v[0]);
+				v[1] = delinearize(v[1]);
+				v[2] = delinearize(v[2]);
+			}
+		},
+		rec2020: {
+			toLinear: function (v) {
+				v[0] = linearize2020(v[0]);
+				v[1] = linearize2020(v[1]);
+				v[2] = linearize2020(v[2]);
+				multiplyInto(LINEAR_2020_TO_XYZ, v);
+				multiplyInto(XYZ_TO_LINEAR_RGB, v);
+			},
+			fromLinear: function (v) {
+				multiplyInto(LINEAR_RGB_TO_XYZ, v);
+				multiplyInto(XYZ_TO_LINEAR_2020, v);
+				v[0] = delinearize2020(v[0]);
+				v[1] = delinearize2020(v[1]);
+				v[2] = delinearize2020(v[2]);
+			}
+		}
+	};
+
+	/* rgbToHsvInto, hsvToRgbInto, rgbToHslInto, hslToRgbInto
+	 *
+	 * In place versions of ColorUtils.RGBtoHSV etc. Unlike
+	 * RGBtoHSV, black gets a hue of 0 rather than undefined.
+	 *
+	 * Required:
+	 *   [0] v: [x, y, z] overwritten
+	 *
+	 * Returns: void
+	 */
+	function rgbToHsvInto (v) {
+		var r = v[0], g = v[1], b = v[2];
+		var max = Math.max(r, g, b);
+		var delta = max - Math.min(r, g, b);
+
+		var h = 0;
+		if (delta !== 0) {
+			if (r === max) {
+				h = (g - b) / delta;
+			}
+			else if (g === max) {
+				h = 2 + (b - r) / delta;
+			}
+			else {
+				h = 4 + (r - g) / delta;
+			}
+
+			h = (h * 60) % 360;
+			h = (h < 0) ? h + 360 : h;
+		}
+
+		v[0] = h;
+		v[1] = (max === 0) ? 0 : delta / max;
+		v[2] = max;
+	}
+
+	function hsvToRgbInto (v) {
+		var h = v[0] % 360;
+		h = (h < 0) ? h + 360 : h;
+
+		var c = v[2] * v[1];
+		var hprime = h / 60;
+		var x = c * (1 - Math.abs(hprime % 2 - 1));
+		var m = v[2] - c;
+		var r = 0, g = 0, b = 0;
+
+		switch (Math.floor(hprime)) {
+			case 0: r = c; g = x; break;
+			case 1: r = x; g = c; break;
+			case 2: g = c; b = x; break;
+			case 3: g = x; b = c; break;
+			case 4: r = x; b = c; break;
+			default: r = c; b = x; break;
+		}
+
+		v[0] = r + m;
+		v[1] = g + m;
+		v[2] = b + m;
+	}
+
+	function rgbToHslInto (v) {
+		var max = Math.max(v[0], v[1], v[2]);
+		var min = Math.min(v[0], v[1], v[2]);
+		var l = (max + min) / 2 / 255;
+		var s = (max === min) 
+			? 0 
+			: (max - min) / 255 / (1 - Math.abs(2 * l - 1));
+
+		rgbToHsvInto(v);
+
+		v[1] = s;
+		v[2] = l;
+	}
+
+	function hslToRgbInto (v) {
+		var h = v[0] % 360;
+		h = (h < 0) ? h + 360 : h;
+
+		var s = cutoff(v[1], 0, 1);
+		var l = cutoff(v[2], 0, 1);
+		var a = s * Math.min(l, 1 - l);
+
+		for (var i = 0; i < 3; i++) {
+			var k = ([ 0, 8, 4 ][i] + h / 30) % 12;
+			v[i] = 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+		}
+	}
+
+	/* xyzToLabInto, labToXyzInto
+	 *
+	 * In place versions of ColorUtils.XYZtoLab and LabtoXYZ.
+	 */
+	function xyzToLabInto (v) {
+		multiplyInto(D65_TO_D50, v);
+
+		for (var i = 0; i < 3; i++) {
+			var t = v[i] / D50_WHITE[i];
+			v[i] = (t > LAB_EPSILON) ? cbrt(t) : (LAB_KAPPA * t + 16) / 116;
+		}
+
+		var fx = v[0], fy = v[1], fz = v[2];
+
+		v[0] = 116 * fy - 16;
+		v[1] = 500 * (fx - fy);
+		v[2] = 200 * (fy - fz);
+	}
+
+	function labToXyzInto (v) {
+		var l = v[0];
+		var fy = (l + 16) / 116;
+		var fx = v[1] / 500 + fy;
+		var fz = fy - v[2] / 200;
+
+		var x = fx * fx * fx;
+		var z = fz * fz * fz;
+
+		v[0] = ((x > LAB_EPSILON) ? x : (116 * fx - 16) / LAB_KAPPA) * D50_WHITE[0];
+		v[1] = ((l > LAB_KAPPA * LAB_EPSILON) ? fy * fy * fy : l / LAB_KAPPA) * D50_WHITE[1];
+		v[2] = ((z > LAB_EPSILON) ? z : (116 * fz - 16) / LAB_KAPPA) * D50_WHITE[2];
+
+		multiplyInto(D50_TO_D65, v);
+	}
+
+	/* polarInto, cartesianInto
+	 *
+	 * In place [l, a, b] <=> [l, c, h] (h in degrees)
+	 */
+	function polarInto (v) {
+		var a = v[1], b = v[2];
+		var h = Math.atan2(b, a) * 180 / Math.PI;
+
+		v[1] = Math.sqrt(a * a + b * b);
+		v[2] = (h < 0) ? h + 360 : h;
+	}
+
+	function cartesianInto (v) {
+		var c = v[1], h = v[2] * Math.PI / 180;
+
+		v[1] = c * Math.cos(h);
+		v[2] = c * Math.sin(h);
+	}
+
+	/* multiplyInto
+	 *
+	 * In place version of multiply.
+	 */
+	function multiplyInto (m, v) {
+		var x = v[0], y = v[1], z = v[2];
+
+		v[0] = m[0][0] * x + m[0][1] * y + m[0][2] * z;
+		v[1] = m[1][0] * x + m[1][1] * y + m[1][2] * z;
+		v[2] = m[2][0] * x + m[2][1] * y + m[2][2] * z;
+	}
+
+	/* deficiencyMatrix
+	 *
+	 * Required:
+	 *   [0] deficiency: see ColorUtils.simulate
+	 *
+	 * Optional:
+	 *   [1] severity: [0, 1] (default per DEFICIENCIES)
+	 *
+	 * Returns: 3x3 linear RGB matrix
+	 */
+	function deficiencyMatrix (deficiency, severity) {
+		if (!DEFICIENCIES.hasOwnProperty(deficiency)) {
+			throw deficiency + " is not a known color vision deficiency.";
+		}
+
+		var kind = DEFICIENCIES[deficiency];
+		severity = (severity === undefined) ? kind.severity : cutoff(severity, 0, 1);
+
+		var low, high, t;
+		if (kind.type === 'achromat') {
+			low = [ [ 1, 0, 0 ], [ 0, 1, 0 ], [ 0, 0, 1 ] ];
+			high = ACHROMATOPSIA;
+			t = severity;
+		}
+		else {
+			var table = MACHADO[kind.type];
+			var position = severity * (table.length - 1);
+			var index = Math.min(Math.floor(position), table.length - 2);
+
+			low = table[index];
+			high = table[index + 1];
+			t = position - index;
+		}
+
+		return low.map(function (row, i) {
+			return row.map(function (value, j) {
+				return (1 - t) * value + t * high[i][j];
+			});
+		});
+	}
+
+	/* formatNumber
+	 *
+	 * Rounds to the given number of decimal places
+	 * without trailing zeros or negative zero.
+	 *
+	 * Required:
+	 *   [0] x
+	 *   [1] places
+	 *
+	 * Returns: string
+	 */
+	function formatNumber (x, places) {
+		var factor = Math.pow(10, places);
+		var rounded = Math.round(x * factor) / factor;
+
+		return String(rounded === 0 ? 0 : rounded);
+	}
+
+	/* hexFormatter
+	 *
+	 * Required:
+	 *   [0] short: whether to use #rgb(a) when lossless
+	 *
+	 * Returns: function (rgb, alpha, showalpha) => hex string
+	 */
+	function hexFormatter (short) {
+		return function (rgb, alpha, showalpha) {
+			var bytes = [ rgb.r, rgb.g, rgb.b ];
+			if (showalpha) {
+				bytes.push(alpha * 255);
+			}
+
+			var digits = bytes.map(function (x) {
+				var hex = Math.round(cutoff(x, 0, 255)).toString(16);
+				return hex.length === 1 ? '0' + hex : hex;
+			});
+
+			var shortenable = short && digits.every(function (pair) {
+				return pair.charAt(0) === pair.charAt(1);
+			});
+
+			if (shortenable) {
+				digits = digits.map(function (pair) { 
+					return pair.charAt(0); 
+				});
+			}
+
+			return '#' + digits.join('');
+		};
+	}
+
+	/* colorFunction
+	 *
+	 * Returns: function wrapping components in color(name ...)
+	 */
+	function colorFunction (name) {
+		return function (inner) {
+			return 'color(' + name + ' ' + inner + ')';
+		};
+	}
+
+	/* cssFunction
+	 *
+	 * Returns: function wrapping components in name(...)
+	 */
+	function cssFunction (name) {
+		return function (inner) {
+			return name + '(' + inner + ')';
+		};
+	}
+
+	/* FORMATS
+	 *
+	 * How ColorUtils.format writes each format. components 
+	 * receives the color converted into space and a function 
+	 * for rounding numbers to the requested precision.
+	 */
+	var FORMATS = {
+		hex: { space: 'rgb', precision: 0, hex: hexFormatter(false) },
+		'hex-short': { space: 'rgb', precision: 0, hex: hexFormatter(true) },
+		hex8: { space: 'rgb', precision: 0, hex: hexFormatter(false) },
+		rgb: {
+			space: 'rgb',
+			precision: 3,
+			wrap: cssFunction('rgb'),
+			components: function (c, n) { 
+				return [ n(c.r), n(c.g), n(c.b) ]; 
+			}
+		},
+		hsl: {
+			space: 'rgb',
+			precision: 3,
+			wrap: cssFunction('hsl'),
+			components: function (c, n) {
+				var hsl = ColorUtils.RGBtoHSL(c.r, c.g, c.b);
+				return [ n(hsl.h || 0), n(hsl.s * 100) + '%', n(hsl.l * 100) + '%' ];
+			}
+		},
+		hwb: {
+			space: 'rgb',
+			precision: 3,
+			wrap: cssFunction('hwb'),
+			components: function (c, n) {
+				var hsv = ColorUtils.RGBtoHSV(c.r, c.g, c.b);
+				var white = Math.min(c.r, c.g, c.b) / 255;
+				var black = 1 - Math.max(c.r, c.g, c.b) / 255;
+				return [ n(hsv.h || 0), n(white * 100) + '%', n(black * 100) + '%' ];
+			}
+		},
+		lab: {
+			space: 'lab',
+			precision: 3,
+			wrap: cssFunction('lab'),
+			components: function (c, n) { 
+				return [ n(c.l) + '%', n(c.a), n(c.b) ]; 
+			}
+		},
+		lch: {
+			space: 'lch',
+			precision: 3,
+			wrap: cssFunction('lch'),
+			components: function (c, n) { 
+				return [ n(c.l) + '%', n(c.c), n(c.h) ]; 
+			}
+		},
+		oklab: {
+			space: 'oklab',
+			precision: 5,
+			wrap: cssFunction('oklab'),
+			components: function (c, n) { 
+				return [ n(c.l * 100, 2) + '%', n(c.a), n(c.b) ]; 
+			}
+		},
+		oklch: {
+			space: 'oklch',
+			precision: 5,
+			wrap: cssFunction('oklch'),
+			components: function (c, n) { 
+				return [ n(c.l * 100, 2) + '%', n(c.c), n(c.h, 2) ]; 
+			}
+		},
+		'display-p3': {
+			space: 'display-p3',
+			precision: 5,
+			wrap: colorFunction('display-p3'),
+			components: function (c, n) { 
+				return [ n(c.r), n(c.g), n(c.b) ]; 
+			}
+		},
+		rec2020: {
+			space: 'rec2020',
+			precision: 5,
+			wrap: colorFunction('rec2020'),
+			components: function (c, n) { 
+				return [ n(c.r), n(c.g), n(c.b) ]; 
+			}
+		},
+		srgb: {
+			space: 'rgb',
+			precision: 5,
+			wrap: colorFunction('srgb'),
+			components: function (c, n) { 
+				return [ n(c.r / 255), n(c.g / 255), n(c.b / 255) ]; 
+			}
+		},
+		'srgb-linear': {
+			space: 'linear-rgb',
+			precision: 5,
+			wrap: colorFunction('srgb-linear'),
+			components: function (c, n) { 
+				return [ n(c.r), n(c.g), n(c.b) ]; 
+			}
+		},
+		xyz: {
+			space: 'xyz',
+			precision: 5,
+			wrap: colorFunction('xyz-d65'),
+			components: function (c, n) { 
+				return [ n(c.x), n(c.y), n(c.z) ]; 
+			}
+		}
+	};
+
+	/* COLOR_FUNCTION_SPACES
+	 *
+	 * The spaces ColorUtils.parse accepts inside color(...).
+	 * Each converts three [0, 1] channels into a known form.
+	 */
+	var COLOR_FUNCTION_SPACES = {
+		srgb: {
+			parse: function (v) { 
+				return { space: 'linear-rgb', r: linearize(v[0]), g: linearize(v[1]), b: linearize(v[2]) }; 
+			}
+		},
+		'srgb-linear': {
+			parse: function (v) { return { space: 'linear-rgb', r: v[0], g: v[1], b: v[2] }; }
+		},
+		'display-p3': {
+			parse: function (v) { return { space: 'display-p3', r: v[0], g: v[1], b: v[2] }; }
+		},
+		rec2020: {
+			parse: function (v) { return { space: 'rec2020', r: v[0], g: v[1], b: v[2] }; }
+		},
+		xyz: {
+			parse: function (v) { return { space: 'xyz', x: v[0], y: v[1], z: v[2] }; }
+		},
+		'xyz-d65': {
+			parse: function (v) { return { space: 'xyz', x: v[0], y: v[1], z: v[2] }; }
+		},
+		'xyz-d50': {
+			parse: function (v) { 
+				var xyz = multiply(D50_TO_D65, v);
+				return { space: 'xyz', x: xyz[0], y: xyz[1], z: xyz[2] }; 
+			}
+		}
+	};
+
+	/* gamutMap
+	 *
+	 * The CSS Color Level 4 gamut mapping algorithm. Chroma is 
+	 * reduced in OKLCh, keeping lightness and hue, until 
+	 * clipping what remains changes the color by less than 
+	 * a just noticeable difference.
+	 *
+	 * Required:
+	 *   [0] linear: { r, g, b } linear sRGB
+	 *   [1] gamut: a key of GAMUTS
+	 *
+	 * Returns: { space: 'linear-rgb', r, g, b } within the gamut
+	 */
+	function gamutMap (linear, gamut) {
+		if (withinGamut(linear, gamut)) {
+			return linear;
+		}
+
+		var origin = ColorUtils.LinearRGBtoOKLab(linear.r, linear.g, linear.b);
+		if (origin.l >= 1) {
+			return { space: 'linear-rgb', r: 1, g: 1, b: 1 };
+		}
+		else if (origin.l <= 0) {
+			return { space: 'linear-rgb', r: 0, g: 0, b: 0 };
+		}
+
+		var lch = ColorUtils.OKLabtoOKLCh(origin.l, origin.a, origin.b);
+		var epsilon = 0.0001;
+
+		var clipped = clipToGamut(linear, gamut);
+		if (clippedDistance(clipped, origin) < GAMUT_JND) {
+			return clipped;
+		}
+
+		var min = 0, max = lch.c;
+		var mininside = true;
+
+		while (max - min > epsilon) {
+			var chroma = (min + max) / 2;
+			var lab = ColorUtils.OKLChtoOKLab(lch.l, chroma, lch.h);
+			var current = ColorUtils.OKLabtoLinearRGB(lab.l, lab.a, lab.b);
+
+			if (mininside && withinGamut(current, gamut)) {
+				min = chroma;
+				continue;
+			}
+
+			clipped = clipToGamut(current, gamut);
+			var error = clippedDistance(clipped, lab);
+
+			if (error < GAMUT_JND) {
+				if (GAMUT_JND - error < epsilon) {
+					return clipped;
+				}
+
+				mininside = false;
+				min = chroma;
+			}
+			else {
+				max = chroma;
+			}
+		}
+
+		return clipped;
+	}
+
+	/* withinGamut
+	 *
+	 * Required:
+	 *   [0] linear: { r, g, b } linear sRGB
+	 *   [1] gamut: a key of GAMUTS
+	 *
+	 * Returns: whether the color is inside the gamut
+	 */
+	function withinGamut (linear, gamut) {
+		var rgb = [ linear.r, linear.g, linear.b ];
+		if (GAMUTS[gamut]) {
+			rgb = multiply(GAMUTS[gamut].to, rgb);
+		}
+
+		var epsilon = 1e-6;
+
+		return rgb[0] >= -epsilon && rgb[0] <= 1 + epsilon
+			&& rgb[1] >= -epsilon && rgb[1] <= 1 + epsilon
+			&& rgb[2] >= -epsilon && rgb[2] <= 1 + epsilon;
+	}
+
+	/* withinUnitCube
+	 *
+	 * withinGamut for the sRGB gamut on a 
+	 * three element array.
+	 *
+	 * Required:
+	 *   [0] v: [ r, g, b ] linear sRGB
+	 *
+	 * Returns: boolean
+	 */
+	function withinUnitCube (v) {
+		var epsilon = 1e-6;
+
+		return v[0] >= -epsilon && v[0] <= 1 + epsilon
+			&& v[1] >= -epsilon && v[1] <= 1 + epsilon
+			&& v[2] >= -epsilon && v[2] <= 1 + epsilon;
+	}
+
+	// Scratch space so that gamutMapInto allocates nothing
+	var gamutorigin = [ 0, 0, 0 ];
+	var gamutcurrent = [ 0, 0, 0 ];
+	var gamutclipped = [ 0, 0, 0 ];
+
+	/* gamutMapInto
+	 *
+	 * In place version of gamutMap for the sRGB gamut, 
+	 * for buffers.
+	 *
+	 * Required:
+	 *   [0] v: [ r, g, b ] linear sRGB, overwritten
+	 *
+	 * Returns: void
+	 */
+	function gamutMapInto (v) {
+		if (withinUnitCube(v)) {
+			return;
+		}
+
+		var origin = gamutorigin;
+		copyInto(v, origin);
+		KERNELS.oklab.fromLinear(origin);
+
+		if (origin[0] >= 1 || origin[0] <= 0) {
+			v[0] = v[1] = v[2] = (origin[0] >= 1) ? 1 : 0;
+			return;
+		}
+
+		var h = Math.atan2(origin[2], origin[1]);
+		var epsilon = 0.0001;
+
+		var clipped = gamutclipped;
+		clipInto(v, clipped);
+		if (clippedDistanceInto(clipped, origin) < GAMUT_JND) {
+			copyInto(clipped, v);
+			return;
+		}
+
+		var current = gamutcurrent;
+		var min = 0, max = Math.sqrt(origin[1] * origin[1] + origin[2] * origin[2]);
+		var mininside = true;
+
+		while (max - min > epsilon) {
+			var chroma = (min + max) / 2;
+
+			// origin now holds the OKLab color being tried
+			origin[1] = chroma * Math.cos(h);
+			origin[2] = chroma * Math.sin(h);
+
+			copyInto(origin, current);
+			KERNELS.oklab.toLinear(current);
+
+			if (mininside && withinUnitCube(current)) {
+				min = chroma;
+				continue;
+			}
+
+			clipInto(current, clipped);
+			var error = clippedDistanceInto(clipped, origin);
+
+			if (error < GAMUT_JND) {
+				if (GAMUT_JND - error < epsilon) {
+					break;
+				}
+
+				mininside = false;
+				min = chroma;
+			}
+			else {
+				max = chroma;
+			}
+		}
+
+		copyInto(clipped, v);
+	}
+
+	/* clipInto
+	 *
+	 * Clamps each channel of v into [0, 1].
+	 *
+	 * Required:
+	 *   [0] v: [ r, g, b ]
+	 *   [1] out: [ r, g, b ] overwritten
+	 *
+	 * Returns: void
+	 */
+	function clipInto (v, out) {
+		out[0] = cutoff(v[0], 0, 1);
+		out[1] = cutoff(v[1], 0, 1);
+		out[2] = cutoff(v[2], 0, 1);
+	}
+
+	// Scratch space for clippedDistanceInto
+	var clippedlab = [ 0, 0, 0 ];
+
+	/* clippedDistanceInto
+	 *
+	 * clippedDistance on three element arrays.
+	 *
+	 * Required:
+	 *   [0] clipped: [ r, g, b ] linear sRGB
+	 *   [1] lab: [ l, a, b ] OKLab
+	 *
+	 * Returns: distance between the two in OKLab
+	 */
+	function clippedDistanceInto (clipped, lab) {
+		copyInto(clipped, clippedlab);
+		KERNELS.oklab.fromLinear(clippedlab);
+
+		var dl = clippedlab[0] - lab[0];
+		var da = clippedlab[1] - lab[1];
+		var db = clippedlab[2] - lab[2];
+
+		return Math.sqrt(dl * dl + da * da + db * db);
+	}
+
+	/* copyInto
+	 *
+	 * Required:
+	 *   [0] v: [ x, y, z ]
+	 *   [1] out: [ x, y, z ] overwritten
+	 *
+	 * Returns: void
+	 */
+	function copyInto (v, out) {
+		out[0] = v[0];
+		out[1] = v[1];
+		out[2] = v[2];
+	}
+
+	/* clipToGamut
+	 *
+	 * Clamps each channel of the color into the gamut. 
+	 * The transfer functions map [0, 1] onto itself so 
+	 * this can be done on the linear channels.
+	 *
+	 * Required:
+	 *   [0] linear: { r, g, b } linear sRGB
+	 *   [1] gamut: a key of GAMUTS
+	 *
+	 * Returns: { space: 'linear-rgb', r, g, b }
+	 */
+	function clipToGamut (linear, gamut) {
+		var rgb = [ linear.r, linear.g, linear.b ];
+		if (!GAMUTS[gamut]) {
+			return { space: 'linear-rgb', r: cutoff(rgb[0], 0, 1), g: cutoff(rgb[1], 0, 1), b: cutoff(rgb[2], 0, 1) };
+		}
+
+		rgb = multiply(GAMUTS[gamut].to, rgb);
+		rgb = multiply(GAMUTS[gamut].from, [ cutoff(rgb[0], 0, 1), cutoff(rgb[1], 0, 1), cutoff(rgb[2], 0, 1) ]);
+
+		return { space: 'linear-rgb', r: rgb[0], g: rgb[1], b: rgb[2] };
+	}
+
+	/* clippedDistance
+	 *
+	 * Required:
+	 *   [0] clipped: { r, g, b } linear sRGB
+	 *   [1] lab: { l, a, b } OKLab
+	 *
+	 * Returns: distance between the two in OKLab
+	 */
+	function clippedDistance (clipped, lab) {
+		return oklabDistance(ColorUtils.LinearRGBtoOKLab(clipped.r, clipped.g, clipped.b), lab);
+	}
+
+	/* linearize2020, delinearize2020
+	 *
+	 * The Rec. 2020 transfer function, extended to 
+	 * negative values by symmetry.
+	 *
+	 * Required:
+	 *   [0] value
+	 *
+	 * Returns: linear light or gamma encoded value
+	 */
+	function linearize2020 (value) {
+		var abs = Math.abs(value);
+		var sign = value < 0 ? -1 : 1;
+
+		if (abs < REC2020_BETA * 4.5) {
+			return value / 4.5;
+		}
+
+		return sign * Math.pow((abs + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45);
+	}
+
+	function delinearize2020 (value) {
+		var abs = Math.abs(value);
+		var sign = value < 0 ? -1 : 1;
+
+		if (abs < REC2020_BETA) {
+			return value * 4.5;
+		}
+
+		return sign * (REC2020_ALPHA * Math.pow(abs, 0.45) - (REC2020_ALPHA - 1));
+	}
+
+	/* linearize
+	 *
+	 * The inverse sRGB transfer function. Sign is 
+	 * preserved for out of range values as in CSS.
+	 *
+	 * Required:
+	 *   [0] value: gamma encoded [0, 1]
+	 *
+	 * Returns: linear light [0, 1]
+	 */
+	function linearize (value) {
+		var abs = Math.abs(value);
+		var sign = value < 0 ? -1 : 1;
+
+		if (abs <= 0.04045) {
+			return value / 12.92;
+		}
+
+		return sign * Math.pow((abs + 0.055) / 1.055, 2.4);
+	}
+
+	/* linearizeChannel
+	 *
+	 * linearize for a [0, 255] channel. 8-bit values come 
+	 * from a precomputed table, which makes a big difference
+	 * when converting whole images.
+	 *
+	 * Required:
+	 *   [0] value: [0, 255]
+	 *
+	 * Returns: linear light [0, 1]
+	 */
+	var LINEAR_TABLE = [];
+	for (var index = 0; index < 256; index++) {
+		LINEAR_TABLE.push(linearize(index / 255));
+	}
+
+	function linearizeChannel (value) {
+		return (value >= 0 && value <= 255 && value === (value | 0))
+			? LINEAR_TABLE[value]
+			: linearize(value / 255);
+	}
+
+	/* delinearize
+	 *
+	 * The sRGB transfer function.
+	 *
+	 * Required:
+	 *   [0] value: linear light [0, 1]
+	 *
+	 * Returns: gamma encoded [0, 1]
+	 */
+	function delinearize (value) {
+		var abs = Math.abs(value);
+		var sign = value < 0 ? -1 : 1;
+
+		if (abs <= 0.0031308) {
+			return value * 12.92;
+		}
+
+		return sign * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+	}
+
+	/* toPolar
+	 *
+	 * Required:
+	 *   [0-1] a, b: cartesian opponent axes
+	 *
+	 * Returns: { c, h } chroma and hue in degrees [0, 360)
+	 */
+	function toPolar (a, b) {
+		var h = Math.atan2(b, a) * 180 / Math.PI;
+
+		return {
+			c: Math.sqrt(a * a + b * b),
+			h: h < 0 ? h + 360 : h
+		};
+	}
+
+	/* toCartesian
+	 *
+	 * Required:
+	 *   [0] c: chroma
+	 *   [1] h: hue in degrees
+	 *
+	 * Returns: { a, b }
+	 */
+	function toCartesian (c, h) {
+		h = (h || 0) * Math.PI / 180;
+		return { a: c * Math.cos(h), b: c * Math.sin(h) };
+	}
+
+	/* multiply
+	 *
+	 * Multiplies a 3x3 matrix by a 3-vector.
+	 *
+	 * Required:
+	 *   [0] matrix: [ [row], [row], [row] ]
+	 *   [1] vector: [ x, y, z ]
+	 *
+	 * Returns: [ x, y, z ]
+	 */
+	function multiply (matrix, vector) {
+		return matrix.map(function (row) {
+			return row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2];
+		});
+	}
+
+	/* multiplyMatrices
+	 *
+	 * Required:
+	 *   [0-1] a, b: 3x3 matrices
+	 *
+	 * Returns: the 3x3 matrix a * b
+	 */
+	function multiplyMatrices (a, b) {
+		return a.map(function (row) {
+			return [ 0, 1, 2 ].map(function (j) {
+				return row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j];
+			});
+		});
+	}
+
+	/* whiteXYZ
+	 *
+	 * Required:
+	 *   [0] white: illuminant name, kelvin, or { x, y } 
+	 *     (see ColorUtils.adapt)
+	 *
+	 * Returns: [ X, Y, Z ] with Y = 1
+	 */
+	function whiteXYZ (white) {
+		var xy = white;
+
+		if (typeof(white) === 'string') {
+			xy = ILLUMINANTS[white.toUpperCase()];
+			if (!xy) {
+				throw white + " is not a known illuminant.";
+			}
+		}
+		else if (typeof(white) === 'number') {
+			xy = kelvinToChromaticity(white);
+		}
+		else if (!white || isNaN(white.x) || isNaN(white.y)) {
+			throw white + " is not a white point.";
+		}
+
+		return [ xy.x / xy.y, 1, (1 - xy.x - xy.y) / xy.y ];
+	}
+
+	/* kelvinToChromaticity
+	 *
+	 * Kim et al.'s cubic spline approximation of the 
+	 * Planckian locus (US patent 7024034).
+	 *
+	 * Required:
+	 *   [0] kelvin: clamped to [1667, 25000]
+	 *
+	 * Returns: { x, y } CIE 1931 chromaticity
+	 */
+	function kelvinToChromaticity (kelvin) {
+		var t = cutoff(kelvin, 1667, 25000);
+		var t1 = 1e3 / t, t2 = t1 * t1, t3 = t2 * t1;
+
+		var x = (t <= 4000)
+			? -0.2661239 * t3 - 0.2343589 * t2 + 0.8776956 * t1 + 0.179910
+			: -3.0258469 * t3 + 2.1070379 * t2 + 0.2226347 * t1 + 0.240390;
+
+		var x2 = x * x, x3 = x2 * x;
+		var y;
+
+		if (t <= 2222) {
+			y = -1.1063814 * x3 - 1.34811020 * x2 + 2.18555832 * x - 0.20219683;
+		}
+		else if (t <= 4000) {
+			y = -0.9549476 * x3 - 1.37418593 * x2 + 2.09137015 * x - 0.16748867;
+		}
+		else {
+			y = 3.0817580 * x3 - 5.87338670 * x2 + 3.75112997 * x - 0.37001483;
+		}
+
+		return { x: x, y: y };
+	}
+
+	/* invert
+	 *
+	 * Required:
+	 *   [0] m: 3x3 matrix
+	 *
+	 * Returns: the inverse of m
+	 */
+	function invert (m) {
+		var a = m[0][0], b = m[0][1], c = m[0][2];
+		var d = m[1][0], e = m[1][1], f = m[1][2];
+		var g = m[2][0], h = m[2][1], i = m[2][2];
+
+		var A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+		var det = a * A + b * B + c * C;
+
+		return [
+			[ A / det, (c * h - b * i) / det, (b * f - c * e) / det ],
+			[ B / det, (a * i - c * g) / det, (c * d - a * f) / det ],
+			[ C / det, (b * g - a * h) / det, (a * e - b * d) / det ]
+		];
+	}
+
+	/* cbrt
+	 *
+	 * Cube root that handles negative numbers.
+	 * (Math.cbrt isn't in ECMAScript 5)
+	 */
+	function cbrt (x) {
+		return x < 0 
+			? -Math.pow(-x, 1 / 3) 
+			: Math.pow(x, 1 / 3);
+	}
+
+	/* copy
+	 *
+	 * Shallow copies a color.
+	 */
+	function copy (color) {
+		var clone = {};
+		for (var key in color) {
+			if (!color.hasOwnProperty(key)) { continue; }
+			clone[key] = color[key];
+		}
+
+		return clone;
+	}
+
+	/* cutoff
+	 *
+	 * Bound a value between a minimum and maximum value.
+	 *
+	 * Required: 
+	 *   [0] value: The number to evaluate
+	 *   [1] min: The minimum possible value
+	 *   [2] max: The maximum possible value
+	 * 
+	 * Returns: value if value in [min,max], min if less, max if more
+	 */
+	/* shiftLightness
+	 *
+	 * Like ColorUtils.lighten, but negative 
+	 * percentages darken.
+	 *
+	 * Required:
+	 *   [0] color: {r,g,b}
+	 *   [1] percent: [-100, 100]
+	 *
+	 * Returns: {r,g,b}
+	 */
+	function shiftLightness (color, percent) {
+		var hsl = ColorUtils.RGBtoHSL(color.r, color.g, color.b);
+		hsl.l += cutoff(percent / 100, -1, 1);
+
+		return ColorUtils.HSLtoRGB(hsl.h, hsl.s, hsl.l);
+	}
+
+	function cutoff(value, min, max) {
+		return Math.max(Math.min(value, max), min);
+	}
+
+	/* Conversion constants
+	 *
+	 * sRGB, Display P3, and Rec. 2020 <-> XYZ, and the Bradford 
+	 * D65 <-> D50 matrices are taken from the CSS Color Level 4 
+	 * specification. 
+	 * The OKLab matrices are from Björn Ottosson.
+	 */
+	var LINEAR_RGB_TO_XYZ = [
+		[ 0.41239079926595934, 0.357584339383878, 0.1804807884018343 ],
+		[ 0.21263900587151027, 0.715168678767756, 0.07219231536073371 ],
+		[ 0.01933081871559182, 0.11919477979462598, 0.9505321522496607 ]
+	];
+
+	var XYZ_TO_LINEAR_RGB = [
+		[ 3.2409699419045226, -1.537383177570094, -0.4986107602930034 ],
+		[ -0.9692436362808796, 1.8759675015077202, 0.04155505740717559 ],
+		[ 0.05563007969699366, -0.20397695888897652, 1.0569715142428786 ]
+	];
+
+	var D65_TO_D50 = [
+		[ 1.0479297925449969, 0.022946870601609652, -0.05019226628920524 ],
+		[ 0.02962780877005599, 0.9904344267538799, -0.017073799063418826 ],
+		[ -0.009243040646204504, 0.015055191490298152, 0.7518742814281371 ]
+	];
+
+	var D50_TO_D65 = [
+		[ 0.955473421488075, -0.02309845494876471, 0.06325924320057072 ],
+		[ -0.0283697093338637, 1.0099953980813041, 0.021041441191917323 ],
+		[ 0.012314014864481998, -0.020507649298898964, 1.330365926242124 ]
+	];
+
+	var D50_WHITE = [ 0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585 ];
+
+	var LAB_EPSILON = 216 / 24389;
+	var LAB_KAPPA = 24389 / 27;
+
+	var LINEAR_P3_TO_XYZ = [
+		[ 0.4865709486482162, 0.26566769316909306, 0.1982172852343625 ],
+		[ 0.2289745640697488, 0.6917385218365064, 0.079286914093745 ],
+		[ 0, 0.04511338185890264, 1.043944368900976 ]
+	];
+
+	var XYZ_TO_LINEAR_P3 = [
+		[ 2.493496911941425, -0.9313836179191239, -0.40271078445071684 ],
+		[ -0.8294889695615747, 1.7626640603183463, 0.023624685841943577 ],
+		[ 0.03584583024378447, -0.07617238926804182, 0.9568845240076872 ]
+	];
+
+	var LINEAR_2020_TO_XYZ = [
+		[ 0.6369580483012914, 0.14461690358620832, 0.1688809751641721 ],
+		[ 0.2627002120112671, 0.6779980715188708, 0.05930171646986196 ],
+		[ 0, 0.028072693049087428, 1.060985057710791 ]
+	];
+
+	var XYZ_TO_LINEAR_2020 = [
+		[ 1.716651187971268, -0.355670783776392, -0.25336628137366 ],
+		[ -0.666684351832489, 1.616481236634939, 0.0157685458139111 ],
+		[ 0.017639857445311, -0.042770613257809, 0.942103121235474 ]
+	];
+
+	/* GAMUTS
+	 *
+	 * The RGB gamuts colors can be checked against and mapped 
+	 * into. 'to' takes linear sRGB to the gamut's own linear 
+	 * channels and 'from' takes them back (null for sRGB 
+	 * itself). A color is in the gamut when all three of 
+	 * those channels are within [0, 1].
+	 */
+	var GAMUTS = {
+		rgb: null,
+		'display-p3': {
+			to: multiplyMatrices(XYZ_TO_LINEAR_P3, LINEAR_RGB_TO_XYZ),
+			from: multiplyMatrices(XYZ_TO_LINEAR_RGB, LINEAR_P3_TO_XYZ)
+		},
+		rec2020: {
+			to: multiplyMatrices(XYZ_TO_LINEAR_2020, LINEAR_RGB_TO_XYZ),
+			from: multiplyMatrices(XYZ_TO_LINEAR_RGB, LINEAR_2020_TO_XYZ)
+		}
+	};
+
+	// Rec. 2020 transfer function constants
+	var REC2020_ALPHA = 1.09929682680944;
+	var REC2020_BETA = 0.018053968510807;
+
+	// How far (in OKLab) CSS gamut mapping lets a clipped 
+	// color stray from the chroma reduced one
+	var GAMUT_JND = 0.02;
+
+	var LINEAR_RGB_TO_LMS = [
+		[ 0.4122214708, 0.5363325363, 0.0514459929 ],
+		[ 0.2119034982, 0.6806995451, 0.1073969566 ],
+		[ 0.0883024619, 0.2817188376, 0.6299787005 ]
+	];
+
+	var LMS_TO_OKLAB = [
+		[ 0.2104542553, 0.7936177850, -0.0040720468 ],
+		[ 1.9779984951, -2.4285922050, 0.4505937099 ],
+		[ 0.0259040371, 0.7827717662, -0.8086757660 ]
+	];
+
+	var OKLAB_TO_LMS = [
+		[ 1, 0.3963377774, 0.2158037573 ],
+		[ 1, -0.1055613458, -0.0638541728 ],
+		[ 1, -0.0894841775, -1.2914855480 ]
+	];
+
+	var LMS_TO_LINEAR_RGB = [
+		[ 4.0767416621, -3.3077115913, 0.2309699292 ],
+		[ -1.2684380046, 2.6097574011, -0.3413193965 ],
+		[ -0.0041960863, -0.7034186147, 1.7076147010 ]
+	];
+
+	/* DEFICIENCIES
+	 *
+	 * The color vision deficiencies ColorUtils.simulate knows, 
+	 * by which kind of cone is affected, and their default 
+	 * severities.
+	 */
+	var DEFICIENCIES = {
+		protanopia: { type: 'protan', severity: 1 },
+		deuteranopia: { type: 'deutan', severity: 1 },
+		tritanopia: { type: 'tritan', severity: 1 },
+		protanomaly: { type: 'protan', severity: 0.5 },
+		deuteranomaly: { type: 'deutan', severity: 0.5 },
+		tritanomaly: { type: 'tritan', severity: 0.5 },
+		achromatopsia: { type: 'achromat', severity: 1 }
+	};
+
+	/* MACHADO
+	 *
+	 * Machado et al. (2009) simulation matrices for linear RGB 
+	 * at severities 0, 0.1, ..., 1, as published by the authors.
+	 * Severity 1 is the dichromacy.
+	 */
+	var MACHADO = {
+		protan: [
+			[ // 0.0
+				[ 1.000000, 0.000000, 0.000000 ],
+				[ 0.000000, 1.000000, 0.000000 ],
+				[ 0.000000, 0.000000, 1.000000 ]
+			],
+			[ // 0.1
+				[ 0.856167, 0.182038, -0.038205 ],
+				[ 0.029342, 0.955115, 0.015544 ],
+				[ -0.002880, -0.001563, 1.004443 ]
+			],
+			[ // 0.2
+				[ 0.734766, 0.334872, -0.069637 ],
+				[ 0.051840, 0.919198, 0.028963 ],
+				[ -0.004928, -0.004209, 1.009137 ]
+			],
+			[ // 0.3
+				[ 0.630323, 0.465641, -0.095964 ],
+				[ 0.069181, 0.890046, 0.040773 ],
+				[ -0.006308, -0.007724, 1.014032 ]
+			],
+			[ // 0.4
+				[ 0.539009, 0.579343, -0.118352 ],
+				[ 0.082546, 0.866121, 0.051332 ],
+				[ -0.007136, -0.011959, 1.019095 ]
+			],
+			[ // 0.5
+				[ 0.458064, 0.679578, -0.137642 ],
+				[ 0.092785, 0.846313, 0.060902 ],
+				[ -0.007494, -0.016807, 1.024301 ]
+			],
+			[ // 0.6
+				[ 0.385450, 0.769005, -0.154455 ],
+				[ 0.100526, 0.829802, 0.069673 ],
+				[ -0.007442, -0.022190, 1.029632 ]
+			],
+			[ // 0.7
+				[ 0.319627, 0.849633, -0.169261 ],
+				[ 0.106241, 0.815969, 0.077790 ],
+				[ -0.007025, -0.028051, 1.035076 ]
+			],
+			[ // 0.8
+				[ 0.259411, 0.923008, -0.182420 ],
+				[ 0.110296, 0.804340, 0.085364 ],
+				[ -0.006276, -0.034346, 1.040622 ]
+			],
+			[ // 0.9
+				[ 0.203876, 0.990338, -0.194214 ],
+				[ 0.112975, 0.794542, 0.092483 ],
+				[ -0.005222, -0.041043, 1.046265 ]
+			],
+			[ // 1.0
+				[ 0.152286, 1.052583, -0.204868 ],
+				[ 0.114503, 0.786281, 0.099216 ],
+				[ -0.003882, -0.048116, 1.051998 ]
+			]
+		],
+		deutan: [
+			[ // 0.0
+				[ 1.000000, 0.000000, 0.000000 ],
+				[ 0.000000, 1.000000, 0.000000 ],
+				[ 0.000000, 0.000000, 1.000000 ]
+			],
+			[ // 0.1
+				[ 0.866435, 0.177704, -0.044139 ],
+				[ 0.049567, 0.939063, 0.011370 ],
+				[ -0.003453, 0.007233, 0.996220 ]
+			],
+			[ // 0.2
+				[ 0.760729, 0.319078, -0.079807 ],
+				[ 0.090568, 0.889315, 0.020117 ],
+				[ -0.006027, 0.013325, 0.992702 ]
+			],
+			[ // 0.3
+				[ 0.675425, 0.433850, -0.109275 ],
+				[ 0.125303, 0.847755, 0.026942 ],
+				[ -0.007950, 0.018572, 0.989378 ]
+			],
+			[ // 0.4
+				[ 0.605511, 0.528560, -0.134071 ],
+				[ 0.155318, 0.812366, 0.032316 ],
+				[ -0.009376, 0.023176, 0.986200 ]
+			],
+			[ // 0.5
+				[ 0.547494, 0.607765, -0.155259 ],
+				[ 0.181692, 0.781742, 0.036566 ],
+				[ -0.010410, 0.027275, 0.983136 ]
+			],
+			[ // 0.6
+				[ 0.498864, 0.674741, -0.173604 ],
+				[ 0.205199, 0.754872, 0.039929 ],
+				[ -0.011131, 0.030969, 0.980162 ]
+			],
+			[ // 0.7
+				[ 0.457771, 0.731899, -0.189670 ],
+				[ 0.226409, 0.731012, 0.042579 ],
+				[ -0.011595, 0.034333, 0.977261 ]
+			],
+			[ // 0.8
+				[ 0.422823, 0.781057, -0.203881 ],
+				[ 0.245752, 0.709602, 0.044646 ],
+				[ -0.011843, 0.037423, 0.974421 ]
+			],
+			[ // 0.9
+				[ 0.392952, 0.823610, -0.216562 ],
+				[ 0.263559, 0.690210, 0.046232 ],
+				[ -0.011910, 0.040281, 0.971630 ]
+			],
+			[ // 1.0
+				[ 0.367322, 0.860646, -0.227968 ],
+				[ 0.280085, 0.672501, 0.047413 ],
+				[ -0.011820, 0.042940, 0.968881 ]
+			]
+		],
+		tritan: [
+			[ // 0.0
+				[ 1.000000, 0.000000, 0.000000 ],
+				[ 0.000000, 1.000000, 0.000000 ],
+				[ 0.000000, 0.000000, 1.000000 ]
+			],
+			[ // 0.1
+				[ 0.926670, 0.092514, -0.019184 ],
+				[ 0.021191, 0.964503, 0.014306 ],
+				[ 0.008437, 0.054813, 0.936750 ]
+			],
+			[ // 0.2
+				[ 0.895720, 0.133330, -0.029050 ],
+				[ 0.029997, 0.945400, 0.024603 ],
+				[ 0.013027, 0.104707, 0.882266 ]
+			],
+			[ // 0.3
+				[ 0.905871, 0.127791, -0.033662 ],
+				[ 0.026856, 0.941251, 0.031893 ],
+				[ 0.013410, 0.148296, 0.838294 ]
+			],
+			[ // 0.4
+				[ 0.948035, 0.089490, -0.037526 ],
+				[ 0.014364, 0.946792, 0.038844 ],
+				[ 0.010853, 0.193991, 0.795156 ]
+			],
+			[ // 0.5
+				[ 1.017277, 0.027029, -0.044306 ],
+				[ -0.006113, 0.958479, 0.047634 ],
+				[ 0.006379, 0.248708, 0.744913 ]
+			],
+			[ // 0.6
+				[ 1.104996, -0.046633, -0.058363 ],
+				[ -0.032137, 0.971635, 0.060503 ],
+				[ 0.001336, 0.317922, 0.680742 ]
+			],
+			[ // 0.7
+				[ 1.193214, -0.109812, -0.083402 ],
+				[ -0.058496, 0.979410, 0.079086 ],
+				[ -0.002346, 0.403492, 0.598854 ]
+			],
+			[ // 0.8
+				[ 1.257728, -0.139648, -0.118081 ],
+				[ -0.078003, 0.975409, 0.102594 ],
+				[ -0.003316, 0.501214, 0.502102 ]
+			],
+			[ // 0.9
+				[ 1.278864, -0.125333, -0.153531 ],
+				[ -0.084748, 0.957674, 0.127074 ],
+				[ -0.000989, 0.601151, 0.399838 ]
+			],
+			[ // 1.0
+				[ 1.255528, -0.076749, -0.178779 ],
+				[ -0.078411, 0.930809, 0.147602 ],
+				[ 0.004733, 0.691367, 0.303900 ]
+			]
+		]
+	};
+
+	// Achromatopsia reduces to luminance
+	var ACHROMATOPSIA = [
+		[ 0.2126, 0.7152, 0.0722 ],
+		[ 0.2126, 0.7152, 0.0722 ],
+		[ 0.2126, 0.7152, 0.0722 ]
+	];
+
+	/* DALTONIZE_SHIFT
+	 *
+	 * Where ColorUtils.daltonize moves the lost information. 
+	 * Red-green deficiencies get it in green and blue, 
+	 * tritans in red and green. Achromats can only use 
+	 * lightness.
+	 */
+	var DALTONIZE_SHIFT = {
+		protan: [ [ 0, 0, 0 ], [ 0.7, 1, 0 ], [ 0.7, 0, 1 ] ],
+		deutan: [ [ 0, 0, 0 ], [ 0.7, 1, 0 ], [ 0.7, 0, 1 ] ],
+		tritan: [ [ 1, 0, 0.7 ], [ 0, 1, 0.7 ], [ 0, 0, 0 ] ],
+		achromat: ACHROMATOPSIA
+	};
+
+	/* ILLUMINANTS
+	 *
+	 * CIE 1931 chromaticities of the standard illuminants 
+	 * (2 degree observer). D50 and D65 are rounded as in CSS.
+	 */
+	var ILLUMINANTS = {
+		A: { x: 0.44757, y: 0.40745 },
+		D50: { x: 0.3457, y: 0.3585 },
+		D55: { x: 0.33242, y: 0.34743 },
+		D65: { x: 0.3127, y: 0.3290 },
+		D75: { x: 0.29902, y: 0.31485 },
+		E: { x: 1 / 3, y: 1 / 3 },
+		F2: { x: 0.37208, y: 0.37529 },
+		F7: { x: 0.31285, y: 0.32918 },
+		F11: { x: 0.38052, y: 0.37713 }
+	};
+
+	// The correlated color temperature of D65, 
+	// which ColorUtils.temperature treats as neutral
+	var NEUTRAL_KELVIN = 6504;
+
+	/* CONE_RESPONSES
+	 *
+	 * The XYZ to cone response matrices used for chromatic 
+	 * adaptation: Bradford (as in ICC profiles and CSS) and 
+	 * CAT16 (from the CAM16 color appearance model).
+	 */
+	var CONE_RESPONSES = {
+		bradford: {
+			forward: [
+				[ 0.8951, 0.2664, -0.1614 ],
+				[ -0.7502, 1.7135, 0.0367 ],
+				[ 0.0389, -0.0685, 1.0296 ]
+			]
+		},
+		cat16: {
+			forward: [
+				[ 0.401288, 0.650173, -0.051461 ],
+				[ -0.250268, 1.204414, 0.045854 ],
+				[ -0.002079, 0.048952, 0.953127 ]
+			]
+		}
+	};
+
+	CONE_RESPONSES.bradford.inverse = invert(CONE_RESPONSES.bradford.forward);
+	CONE_RESPONSES.cat16.inverse = invert(CONE_RESPONSES.cat16.forward);
+
+	/* NUMBER_TOKEN
+	 *
+	 * Matches a CSS number with an optional unit or %.
+	 * e.g. '-1.5e2deg' => ['-1.5e2deg', '-1.5e2', 'deg']
+	 */
+	var NUMBER_TOKEN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*|%)$/;
+
+	/* NAMED_COLORS
+	 *
+	 * The CSS Color Level 4 named colors as hex digits.
+	 * 'transparent' is handled separately since it has an alpha.
+	 */
+	var NAMED_COLORS = {
+		aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+		azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+		blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+		burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+		coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+		cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+		darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+		darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+		darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+		darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+		deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+		dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+		fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+		goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+		grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+		indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+		lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+		lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+		lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+		lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+		lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+		linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+		mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+		mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+		midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+		navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+		olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+		palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+		papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+		plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+		red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+		salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+		sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+		slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+		steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+		tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+		white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+	};
 
 })();
 
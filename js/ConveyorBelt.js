@@ -7,14 +7,95 @@
  *
  * How to Use:
  *
- * var belt = new ConveyorBelt.ConveyorBelt(35) // msec or 'immediate'
+ * var belt = new ConveyorBelt.ConveyorBelt(35) // msec, 'frame', 'idle', 'adaptive', or 'immediate'
  * 
  * while (something) {
  *	  belt.add(something.render()); // renders every 35msec until complete (not a hard guarantee)
  * }
  *
+ * 'frame' runs as many tasks as fit in a few msec of each animation
+ * frame and 'idle' runs them while the browser has nothing else to 
+ * do. Outside of browsers, both fall back to setTimeout.
+ *
+ * 'adaptive' tunes its own interval and batch size to keep queued
+ * tasks from waiting too long or to keep its share of the CPU down:
+ *
+ * new ConveyorBelt.ConveyorBelt({ 
+ *     speed: 'adaptive', 
+ *     adaptive: { target: 'latency', latency: 50 } 
+ * });
+ *
+ * Urgent work can jump the line by giving it a higher priority.
+ * Waiting tasks slowly gain priority so nothing starves:
+ *
+ * belt.add(renderVisibleSlice, { priority: 10 });
+ * belt.add(prefetchNeighbor); // priority 0
+ *
+ * Within a priority, the newest task runs first unless the belt
+ * is created with { order: 'fifo' }. add returns a handle for
+ * withdrawing or expediting that one task:
+ *
+ * var task = belt.add(renderSlice);
+ * task.cancel(); // or task.runNow()
+ *
+ * Functions may return promises. The belt waits for them, keeping
+ * at most { concurrency } in flight, and the handle is itself a
+ * promise for the result:
+ *
+ * belt.add(loadTile).then(draw);
+ * belt.onIdle().then(done); // when everything has finished
+ *
+ * Tasks sharing a key coalesce, so only one of them is queued at 
+ * a time. By default the newest function replaces the pending one:
+ *
+ * slider.on('input', function () {
+ *     belt.add(renderLayer, { key: 'layer-3' });
+ * });
+ *
+ * A task that throws (or whose promise rejects) doesn't disturb the
+ * others. It can be retried with exponential backoff, and once out
+ * of attempts lands in belt.deadletters where it can be requeued:
+ *
+ * var belt = new ConveyorBelt.ConveyorBelt({ speed: 35, attempts: 3 });
+ * belt.on('error', function (error, task) { ... });
+ *
+ * Long tasks can be written as generators (or async generators) that
+ * yield now and then. The belt resumes them a step at a time, taking
+ * turns with everything else, and passes what they yield on as progress:
+ *
+ * belt.add(function* () {
+ *     for (var i = 0; i < chunks.length; i++) {
+ *         mesh(chunks[i]);
+ *         yield i / chunks.length;
+ *     }
+ * }, { onProgress: updateBar });
+ *
+ * Belts that share a page can share a ConveyorBelt.Scheduler instead
+ * of each running its own timer. It splits one frame budget among them 
+ * by weight and can pause whole groups, e.g. while the tab is hidden:
+ *
+ * var scheduler = new ConveyorBelt.Scheduler({ pauseWhenHidden: [ 'prefetch' ] });
+ * scheduler.register(renderBelt, { weight: 6 });
+ * scheduler.register(prefetchBelt, { weight: 3, group: 'prefetch' });
+ * scheduler.register(analyticsBelt, { weight: 1, group: 'prefetch' });
+ *
+ * To see whether a belt keeps up, listen for 'drain', 'task:start', 
+ * 'task:end', and 'backlog', or poll belt.stats(). With { trace: true }
+ * each task also shows up in the browser's performance profiles.
+ *
  * You can start, stop, flush, and burn down the queue at any time.
  *
+ * Belts tell time with ConveyorBelt.systemClock unless given another 
+ * clock. A ConveyorBelt.VirtualClock only moves when told to, which 
+ * makes a belt's behavior reproducible, e.g. in tests:
+ *
+ * var clock = new ConveyorBelt.VirtualClock();
+ * var belt = new ConveyorBelt.ConveyorBelt({ speed: 35, clock: clock });
+ * belt.add(a); belt.add(b);
+ * clock.tick(35); // runs b
+ * clock.runAll(); // runs a
+ * clock.history; // [ { time: 35, belt, task: b }, { time: 70, belt, task: a } ]
+ *
  * Dependencies: None
  *
  * Author: William Silversmith
@@ -32,18 +113,112 @@ ConveyorBelt = {};
 	 * New this to create a new belt. 
 	 *
 	 * Required: 
-	 *   [0] speed: execution interval in msec or 'immediate'
-	 *      if speed is 'immediate', no throttling will take place at all
-	 *      and added functions will be executed on the spot.
+	 *   [0] args: the speed (see below) or an object with:
+	 *     speed: execution interval in msec, 'frame', 'idle', or 'immediate'
+	 *       if speed is 'immediate', no throttling will take place at all
+	 *       and added functions will be executed on the spot.
+	 *       if speed is 'frame', tasks run on requestAnimationFrame
+	 *       until this.budget msec of the frame have been used.
+	 *       if speed is 'idle', tasks run on requestIdleCallback
+	 *       until the browser's idle deadline passes.
+	 *       if speed is 'adaptive', batches of tasks run at an interval,
+	 *       both adjusted after every batch as described by adaptive.
+	 *
+	 * Optional:
+	 *     aging: msec a task must wait to gain one level of
+	 *       priority, 0 to disable (default in ConveyorBelt.defaults)
+	 *     order: among tasks of equal priority, 'lifo' runs the 
+	 *       most recently added first, 'fifo' the earliest, though
+	 *       a task that has waited aging msec goes ahead of both
+	 *       (default in ConveyorBelt.defaults)
+	 *     concurrency: the most promise returning tasks that may 
+	 *       be pending at once (default in ConveyorBelt.defaults)
+	 *     budget: msec of each frame to spend in 'frame' mode, and 
+	 *       of each timeout when 'idle' mode has to fall back on 
+	 *       setTimeout (default in ConveyorBelt.defaults)
+	 *     coalesce: how tasks added with the key of one already 
+	 *       queued are combined, see add (default in ConveyorBelt.defaults)
+	 *     attempts: how many times a failing task is tried before 
+	 *       giving up on it (default in ConveyorBelt.defaults)
+	 *     backoff: msec to wait before the first retry, doubling 
+	 *       with each retry after (default in ConveyorBelt.defaults)
+	 *     name: labels the belt in traces (default 'ConveyorBelt')
+	 *     trace: if true, each task run is recorded with the 
+	 *       Performance API (performance.mark and measure)
+	 *     clock: where the belt gets the time and its timers 
+	 *       (default ConveyorBelt.systemClock), see there
+	 *     adaptive: settings for the 'adaptive' speed, any of
+	 *       (defaults in ConveyorBelt.defaults.adaptive):
+	 *       target: 'latency' to keep the longest wait of a queued 
+	 *         task under latency msec, or 'cpu' to keep the fraction
+	 *         of time spent running tasks under share
+	 *       latency: msec
+	 *       share: (0, 1]
+	 *       interval: [ min, max ] msec between batches
+	 *       batch: [ min, max ] tasks per batch
+	 *       step: msec the interval shortens by when speeding up
 	 * 
 	 * Returns: this (requires new)
 	 */
-	ConveyorBelt.ConveyorBelt = function (speed) {
-		this.queue = [];
-		this.speed = speed; // msec
+	ConveyorBelt.ConveyorBelt = function (args) {
+		if (typeof(args) !== 'object' || args === null) {
+			args = { speed: args };
+		}
+
+		this.lanes = []; // { priority, tasks } sorted most urgent first
+		this.length = 0; // number of queued tasks
+		this.sequence = 0; // number of tasks ever added
+
+		this.speed = args.speed; // msec
+		this.aging = (args.aging === undefined)
+			? ConveyorBelt.defaults.aging
+			: args.aging;
+
+		this.order = args.order || ConveyorBelt.defaults.order;
+		if (this.order !== 'fifo' && this.order !== 'lifo') {
+			throw this.order + " is not a known order. Use 'fifo' or 'lifo'.";
+		}
+
+		this.concurrency = args.concurrency || ConveyorBelt.defaults.concurrency;
+		this.running = 0; // promise returning tasks in flight
+		this.idlers = []; // resolvers waiting on onIdle
+
+		this.budget = args.budget || ConveyorBelt.defaults.budget;
+
+		this.coalesce = args.coalesce || ConveyorBelt.defaults.coalesce;
+		this.keys = Object.create(null); // key => queued task (no prototype, so any key is safe)
+		this.coalesced = 0; // number of tasks absorbed by coalescing
+
+		this.attempts = args.attempts || ConveyorBelt.defaults.attempts;
+		this.backoff = (args.backoff === undefined)
+			? ConveyorBelt.defaults.backoff
+			: args.backoff;
+
+		this.retrying = 0; // failed tasks waiting out their backoff
+		this.deadletters = []; // tasks that ran out of attempts
+
+		this.callbacks = {};
+
+		this.name = args.name || 'ConveyorBelt';
+		this.trace = !!args.trace;
+
+		this.clock = args.clock || ConveyorBelt.systemClock;
+
+		this.created = now(this);
+		this.busysince = null; // when the belt last got work after draining
+		this.activetime = 0; // msec spent with work queued or running before that
+		this.completed = 0; // task runs that succeeded
+		this.failed = 0; // task runs that failed (including retried ones)
+		this.samples = { durations: [], waits: [], ends: [], next: 0 };
+
+		this.controller = controller(args.adaptive || {});
 
 		this.timerid = null;
+		this.timerkind = null; // which of TIMERS timerid belongs to
 		this.active = false;
+		this.burning = false; // whether burn is on the stack
+		this.rotations = 0; // see rotate
+		this.scheduler = null; // the ConveyorBelt.Scheduler driving it, if any
 
 		// Since the queue halts if it's empty, 
 		// it's very cheap to keep it active since
@@ -52,30 +227,165 @@ ConveyorBelt = {};
 		this.start(); 
 	};
 
+	/* defaults */
+
+	ConveyorBelt.defaults = {
+		aging: 1000, // msec of waiting per level of priority gained
+		order: 'lifo', // newest first, as the belt has always done
+		concurrency: Infinity,
+		budget: 8, // msec per frame, leaving the rest for rendering
+		coalesce: 'replace',
+		attempts: 1, // i.e. no retries
+		backoff: 100, // msec
+		adaptive: {
+			target: 'latency',
+			latency: 100, // msec
+			share: 0.5,
+			interval: [ 4, 250 ], // msec
+			batch: [ 1, 32 ],
+			step: 8 // msec
+		},
+		scheduler: {
+			speed: 'frame',
+			weight: 1 // of each registered belt
+		}
+	};
+
+	/* queue
+	 *
+	 * The queued functions as an array, like the one belts
+	 * kept before they had priorities: the next to run is
+	 * last (not counting aging). It's a read only copy, so
+	 * use add, flush, etc. to change what's queued.
+	 *
+	 * Returns: array of functions
+	 */
+	Object.defineProperty(ConveyorBelt.ConveyorBelt.prototype, 'queue', {
+		get: function () {
+			var fns = [];
+
+			for (var i = this.lanes.length - 1; i >= 0; i--) {
+				var tasks = this.lanes[i].tasks;
+
+				if (this.order === 'fifo') {
+					tasks = tasks.slice().reverse();
+				}
+
+				tasks.forEach(function (task) {
+					fns.push(task.fn);
+				});
+			}
+
+			return fns;
+		}
+	});
+
 	/* add
 	 *
 	 * Adds an item onto the queue. Only functions are
 	 * allowed.
 	 *
+	 * Tasks with a higher priority run first. A task gains
+	 * one level of priority for every this.aging msec it 
+	 * waits so that low priority work eventually runs.
+	 *
+	 * If a task with the same key is still queued, the two 
+	 * are coalesced into that one according to coalesce:
+	 *   'replace': the new function takes the old one's place
+	 *   'keep-first': the new function is dropped
+	 *   function (queued, added): a reducer returning the 
+	 *     function to run in their stead
+	 * The queued task keeps its place in line, taking on the 
+	 * new priority if that is higher, and is returned again.
+	 * this.coalesced and the task's coalesced count the 
+	 * functions absorbed this way.
+	 *
 	 * Required:
 	 *   [0] fn: Some function you want executed at a certain pace
 	 *
-	 * Returns: this (for chaining)
+	 * Optional:
+	 *   [1] args:
+	 *     priority: any number, higher is more urgent (default 0)
+	 *     key: tasks with equal keys coalesce (strings or numbers)
+	 *     coalesce: overrides this.coalesce for this task
+	 *     attempts: overrides this.attempts for this task
+	 *     onProgress: function (value, task) called with each 
+	 *       value a generator task yields
+	 *
+	 * Returns: ConveyorBelt.Task handle, which is also 
+	 *   a promise for the function's result
 	 */
-	ConveyorBelt.ConveyorBelt.prototype.add = function (fn) {
-		this.queue.push(fn);
+	ConveyorBelt.ConveyorBelt.prototype.add = function (fn, args) {
+		args = args || {};
+
+		var pending = (args.key !== undefined && args.key in this.keys)
+			? this.keys[args.key]
+			: null;
+
+		if (pending) {
+			coalesce(this, pending, fn, args);
+			return pending;
+		}
+
+		var task = new ConveyorBelt.Task(this, fn, args);
+		enqueue(this, task);
 
 		if (!this.active) {
-			return this;
+			return task;
 		}
 
 		if (this.speed === 'immediate') {
 			this.burn();
 		}
-		else if (!this.timerid) {
-			this.timerid = setInterval(this.process.bind(this), this.speed);
+		else {
+			schedule(this);
+		}
+
+		return task;
+	};
+
+	/* prioritize
+	 *
+	 * Changes the priority of a task that is already queued.
+	 * It keeps its place relative to the other tasks of its 
+	 * new priority according to when it was added, and 
+	 * keeps any priority it gained from waiting.
+	 *
+	 * Required:
+	 *   [0] fn: a ConveyorBelt.Task or a function previously 
+	 *     added (every queued instance of it is moved)
+	 *   [1] priority: the new priority
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.ConveyorBelt.prototype.prioritize = function (fn, priority) {
+		var moving = [];
+
+		for (var i = this.lanes.length - 1; i >= 0; i--) {
+			var lane = this.lanes[i];
+			if (lane.priority === priority) {
+				continue;
+			}
+
+			lane.tasks = lane.tasks.filter(function (task) {
+				if (task === fn || task.fn === fn) {
+					moving.push(task);
+					return false;
+				}
+
+				return true;
+			});
 		}
 
+		var _this = this;
+		moving.forEach(function (task) {
+			_this.length--;
+			task.priority = priority;
+			enqueue(_this, task);
+		});
+
+		pruneLanes(this);
+
 		return this;
 	};
 
@@ -84,20 +394,30 @@ ConveyorBelt = {};
 	 * Used internally. THis is what actually processes the queue at
 	 * each time step. If the queue is empty, to conserve resources,
 	 * the interval timer is cleared until new units are added.
+	 * If this.concurrency promises are pending, the step is skipped.
 	 *
-	 * Required: None
+	 * Interval belts run one task per step. Given a deadline, 
+	 * tasks are run until it says no time remains (but always
+	 * at least one, so that long tasks still make progress).
+	 *
+	 * Optional:
+	 *   [0] timeRemaining: function returning msec left in the step
 	 *
 	 * Returns: this (for chaining)
 	 */
-	ConveyorBelt.ConveyorBelt.prototype.process = function () {
-		if (this.speed !== 'immediate' && this.queue.length === 0) {
-			clearInterval(this.timerid);
-			this.timerid = null;
-			return;
+	ConveyorBelt.ConveyorBelt.prototype.process = function (timeRemaining) {
+		if (this.length === 0) {
+			unschedule(this);
+			return this;
 		}
 
-		var fn = this.queue.pop();
-		fn();
+		do {
+			if (this.running >= this.concurrency) {
+				break;
+			}
+
+			run(this, dequeue(this));
+		} while (timeRemaining && this.length > 0 && timeRemaining() > 0);
 
 		return this;
 	};
@@ -108,7 +428,7 @@ ConveyorBelt = {};
 	 * every this.speed msec).
 	 *
 	 * Optional:
-	 *   [0] speed: Optionally restart at the given speed (msec or 'immediate')
+	 *   [0] speed: Optionally restart at the given speed (see constructor)
 	 *
 	 * Returns: this (for chaining)
 	 */
@@ -121,11 +441,10 @@ ConveyorBelt = {};
 		}
 
 		if (this.speed === 'immediate') {
-			this.timerid = null;
 			this.burn();
 		}
 		else {
-			this.timerid = setInterval(this.process.bind(this), this.speed);
+			schedule(this);
 		}
 
 		return this;
@@ -143,18 +462,17 @@ ConveyorBelt = {};
 	 */
 	ConveyorBelt.ConveyorBelt.prototype.stop = function () {
 		this.active = false;
-
-		if (this.timerid) {
-			clearInterval(this.timerid);
-			this.timerid = null;
-		}
+		unschedule(this);
 
 		return this;
 	};
 
 	/* flush
 	 *
-	 * Removes all queued requests.
+	 * Removes queued requests, cancelling them. When only 
+	 * some are flushed, they're taken from the back of the 
+	 * line: the lowest priority first and, within a priority, 
+	 * those that this.order would run last.
 	 *
 	 * Required: None
 	 *
@@ -165,18 +483,30 @@ ConveyorBelt = {};
 	 */
 	ConveyorBelt.ConveyorBelt.prototype.flush = function (amount) {
 		if (amount === undefined) {
-			this.queue = [];
+			amount = this.length;
 		}
-		else {
-			this.queue = this.queue.slice(0, amount);
+
+		var limit = Math.min(amount, this.length);
+		for (var count = limit - 1; count >= 0; count--) {
+			var lane = this.lanes[this.lanes.length - 1];
+			var task = (this.order === 'fifo')
+				? lane.tasks[lane.tasks.length - 1]
+				: lane.tasks[0];
+
+			remove(this, task);
+			abandon(task);
 		}
 
+		checkIdle(this);
+
 		return this;
 	};
 
 	/* burn
 	 *
 	 * In one shot, process queued items as fast as possible up to an optional limit.
+	 * Stops early if this.concurrency promises become pending.
+	 * Without a limit, generator tasks are run through to completion.
 	 *
 	 * Required: None
 	 *
@@ -186,20 +516,2239 @@ ConveyorBelt = {};
 	 * Returns: this (for chaining)
 	 */
 	ConveyorBelt.ConveyorBelt.prototype.burn = function (amount) {
-		var restart = this.active;
-		
-		if (amount === undefined) {
-			amount = this.queue.length;
+		var count = 0;
+
+		this.burning = true;
+
+		try {
+			while (this.length > 0 && this.running < this.concurrency
+				&& (amount === undefined || count < amount)) {
+
+				run(this, dequeue(this));
+				count++;
+			}
+		}
+		finally {
+			this.burning = false;
 		}
 
-		var limit = Math.min(amount, this.queue.length);
-		for (var count = limit - 1; count >= 0; count--) {
-			var fn = this.queue.pop();
-			fn();
+		return this;
+	};
+
+	/* onIdle
+	 *
+	 * Required: None
+	 *
+	 * Returns: a promise that resolves once the queue is 
+	 *   empty and no task is running or waiting to be retried
+	 */
+	ConveyorBelt.ConveyorBelt.prototype.onIdle = function () {
+		var _this = this;
+
+		return new Promise(function (resolve) {
+			_this.idlers.push(resolve);
+			checkIdle(_this);
+		});
+	};
+
+	/* requeue
+	 *
+	 * Gives tasks that ran out of attempts another go, 
+	 * taking them off this.deadletters. They start over 
+	 * with a full set of attempts and a fresh promise.
+	 *
+	 * Optional:
+	 *   [0] task: a task in this.deadletters (default all of them)
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.ConveyorBelt.prototype.requeue = function (task) {
+		if (task !== undefined && this.deadletters.indexOf(task) === -1) {
+			throw "Only tasks in deadletters can be requeued.";
+		}
+
+		var tasks = (task === undefined) 
+			? this.deadletters 
+			: [ task ];
+
+		this.deadletters = this.deadletters.filter(function (dead) {
+			return tasks.indexOf(dead) === -1;
+		});
+
+		var _this = this;
+		tasks.forEach(function (dead) {
+			dead.failures = 0;
+			dead.error = undefined;
+			dead.deferred = null;
+
+			readd(_this, dead);
+		});
+
+		return this;
+	};
+
+	/* on
+	 *
+	 * Attach callbacks to specified actions.
+	 *
+	 * Actions:
+	 *   'error': function (error, task) called each time a task
+	 *     fails. task.status says whether it will be retried 
+	 *     ('retrying') or was given up on ('failed').
+	 *   'task:start': function (task) just before a task runs
+	 *   'task:end': function (task, duration) once a run of a 
+	 *     task has finished, failed or not (duration in msec).
+	 *     For generator tasks, a run is one step.
+	 *   'task:progress': function (value, task) when a generator 
+	 *     task yields
+	 *   'drain': function () when the last of the work is done,
+	 *     nothing being queued, running, or waiting to retry
+	 *   'backlog': function (length) when the queue grows past
+	 *     a threshold, given as on('backlog', threshold, fn).
+	 *     It fires again only after dropping back to it.
+	 *   'adapt': function (decision) each time an 'adaptive' belt 
+	 *     reconsiders its pace. decision is { time, action: 'faster', 
+	 *     'slower', or 'hold', latency, share, backlog, and the 
+	 *     resulting interval and batch }. The most recent are kept 
+	 *     in this.controller.decisions.
+	 *
+	 * Required:
+	 *   [0] action
+	 *   [1] fn (or the threshold for 'backlog')
+	 *
+	 * Optional:
+	 *   [2] fn for 'backlog'
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.ConveyorBelt.prototype.on = function (action, fn) {
+		if (action === 'backlog') {
+			fn = backlogHandler(fn, arguments[2]);
+		}
+
+		this.callbacks[action] = this.callbacks[action] || [];
+		this.callbacks[action].push(fn);
+
+		if (action === 'backlog') {
+			checkBacklog(this);
+		}
+
+		return this;
+	};
+
+	/* off
+	 *
+	 * Removes callbacks from a specified action.
+	 * If fn is specified, it will remove that handler.
+	 * If fn is not specifed, all callbacks for that action
+	 * will be removed.
+	 *
+	 * Required:
+	 *   [0] action
+	 *
+	 * Optional:
+	 *   [1] fn
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.ConveyorBelt.prototype.off = function (action, fn) {
+		if (!this.callbacks[action]) {
+			return this;
+		}
+
+		if (fn) {
+			this.callbacks[action] = this.callbacks[action].filter(function (elem) {
+				return elem !== fn && elem.original !== fn;
+			});
+		}
+		else {
+			this.callbacks[action] = [];
+		}
+
+		return this;
+	};
+
+	/* stats
+	 *
+	 * A snapshot of how the belt is doing. Durations, waits, 
+	 * and throughput are computed over the most recent 
+	 * STATS_SAMPLES task runs.
+	 *
+	 * Required: None
+	 *
+	 * Returns: {
+	 *   length: tasks queued,
+	 *   running: promises pending,
+	 *   retrying: failed tasks waiting to be retried,
+	 *   deadletters: tasks given up on,
+	 *   completed: task runs that succeeded,
+	 *   failed: task runs that failed,
+	 *   coalesced: tasks absorbed by coalescing,
+	 *   throughput: task runs per second,
+	 *   duration: { mean, p50, p90, p99, max } msec per run,
+	 *   wait: { mean, p50, p90, p99, max } msec queued before running,
+	 *   active: msec spent with work queued or running,
+	 *   idle: msec spent with nothing to do
+	 * }
+	 */
+	ConveyorBelt.ConveyorBelt.prototype.stats = function () {
+		var time = now(this);
+		var samples = this.samples;
+
+		var active = this.activetime;
+		if (this.busysince !== null) {
+			active += time - this.busysince;
+		}
+
+		var ends = samples.ends;
+		var earliest = Math.min.apply(Math, ends);
+		var throughput = (ends.length > 0 && time > earliest)
+			? ends.length / (time - earliest) * 1000
+			: 0;
+
+		return {
+			length: this.length,
+			running: this.running,
+			retrying: this.retrying,
+			deadletters: this.deadletters.length,
+			completed: this.completed,
+			failed: this.failed,
+			coalesced: this.coalesced,
+			throughput: throughput,
+			duration: summarize(samples.durations),
+			wait: summarize(samples.waits),
+			active: active,
+			idle: time - this.created - active
+		};
+	};
+
+	/* Task
+	 *
+	 * The handle ConveyorBelt.prototype.add returns for 
+	 * a queued function. Not meant to be newed directly.
+	 *
+	 * status is one of:
+	 *   'queued': waiting its turn
+	 *   'running': being executed (or its promise is pending)
+	 *   'done': finished, see result
+	 *   'retrying': failed, waiting to be tried again
+	 *   'failed': threw or its promise rejected on its last 
+	 *     attempt, see error (and belt.deadletters)
+	 *   'cancelled': withdrawn by cancel or flush, see error
+	 *
+	 * Tasks are thenables, so they can be awaited or used 
+	 * like a promise for the function's result (for generators, 
+	 * what they return). Cancelled tasks reject with an Error 
+	 * named 'CancelError'.
+	 *
+	 * Functions returning an iterator (i.e. generator and async 
+	 * generator functions) are run a step at a time. After each 
+	 * step the task goes to the back of the line for its priority 
+	 * so that long running tasks take turns. progress holds the 
+	 * value last yielded.
+	 *
+	 * Required:
+	 *   [0] belt: the ConveyorBelt it was added to
+	 *   [1] fn
+	 *
+	 * Optional:
+	 *   [2] args: { priority, key, attempts, onProgress } as given to add
+	 *
+	 * Returns: this (requires new)
+	 */
+	ConveyorBelt.Task = function (belt, fn, args) {
+		args = args || {};
+
+		this.belt = belt;
+		this.fn = fn;
+		this.priority = args.priority || 0;
+		this.key = args.key;
+		this.status = 'queued';
+		this.coalesced = 0; // functions merged into this one
+
+		this.attempts = args.attempts || belt.attempts;
+		this.failures = 0;
+		this.retryid = null; // backoff timer while retrying
+
+		this.started = null; // when the current or last run began
+
+		this.iterator = null; // for generator tasks, once started
+		this.progress = undefined;
+		this.onProgress = args.onProgress || null;
+
+		this.sequence = belt.sequence++; // orders tasks by when they were added
+		this.added = now(belt);
+
+		this.result = undefined;
+		this.error = undefined;
+		this.deferred = null; // created on demand by then
+	};
+
+	/* cancel
+	 *
+	 * Withdraws the task if it hasn't run yet 
+	 * or is waiting to be retried.
+	 *
+	 * Required: None
+	 *
+	 * Returns: whether it was withdrawn
+	 */
+	ConveyorBelt.Task.prototype.cancel = function () {
+		if (this.status === 'retrying') {
+			this.belt.clock.clearTimeout(this.retryid);
+			this.retryid = null;
+			this.belt.retrying--;
+		}
+		else if (this.status === 'queued') {
+			remove(this.belt, this);
+		}
+		else {
+			return false;
+		}
+
+		abandon(this);
+		checkIdle(this.belt);
+
+		return true;
+	};
+
+	/* runNow
+	 *
+	 * Takes the task out of line and executes it 
+	 * immediately, even if this.concurrency promises 
+	 * are pending. Does nothing if it isn't queued.
+	 * Generator tasks only take their next step.
+	 *
+	 * Required: None
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.Task.prototype.runNow = function () {
+		if (this.status !== 'queued') {
+			return this;
 		}
 
+		remove(this.belt, this);
+		run(this.belt, this);
+
+		return this;
+	};
+
+	/* prioritize
+	 *
+	 * Shorthand for belt.prioritize(task, priority).
+	 *
+	 * Required:
+	 *   [0] priority
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.Task.prototype.prioritize = function (priority) {
+		this.belt.prioritize(this, priority);
 		return this;
 	};
+
+	/* then / catch
+	 *
+	 * As for promises.
+	 *
+	 * Optional:
+	 *   [0] onFulfilled
+	 *   [1] onRejected
+	 *
+	 * Returns: Promise
+	 */
+	ConveyorBelt.Task.prototype.then = function (onFulfilled, onRejected) {
+		return promiseFor(this).then(onFulfilled, onRejected);
+	};
+
+	ConveyorBelt.Task.prototype['catch'] = function (onRejected) {
+		return promiseFor(this).then(undefined, onRejected);
+	};
+
+	/* Scheduler
+	 *
+	 * Drives several belts from a single timer. Each step's 
+	 * budget is divided among the belts with work to do in 
+	 * proportion to their weights. A belt whose tasks overrun 
+	 * its share owes the difference and sits out steps until 
+	 * it's paid off, so over time each belt gets its weight's 
+	 * worth of the time used.
+	 *
+	 * A registered belt keeps its queue, events, and options, 
+	 * but its own speed is set aside ('immediate' belts aside, 
+	 * which never wait for a timer) until it's unregistered.
+	 *
+	 * Belts can be put in named groups so that a group can be 
+	 * paused and resumed at once.
+	 *
+	 * Required: None
+	 *
+	 * Optional:
+	 *   [0] args:
+	 *     speed: msec, 'frame', or 'idle', as for a belt 
+	 *       (default in ConveyorBelt.defaults.scheduler)
+	 *     budget: msec to spend per step, in 'frame' mode and 
+	 *       when stepping at an interval (default in ConveyorBelt.defaults)
+	 *     pauseWhenHidden: true to pause all belts while the page 
+	 *       is hidden (per the Page Visibility API), or a list of 
+	 *       the groups to pause
+	 *     clock: as for a belt, and best shared with the belts 
+	 *       (default ConveyorBelt.systemClock)
+	 * 
+	 * Returns: this (requires new)
+	 */
+	ConveyorBelt.Scheduler = function (args) {
+		args = args || {};
+
+		this.speed = args.speed || ConveyorBelt.defaults.scheduler.speed;
+		if (this.speed === 'immediate' || this.speed === 'adaptive') {
+			throw "A scheduler can't run at " + this.speed + " speed. Use msec, 'frame', or 'idle'.";
+		}
+
+		this.budget = args.budget || ConveyorBelt.defaults.budget;
+		this.clock = args.clock || ConveyorBelt.systemClock;
+
+		this.members = []; // { belt, weight, group, credit, spent }
+		this.turn = 0; // which member goes first next step
+
+		this.paused = false; // all groups
+		this.pausedgroups = {}; // group => true
+
+		this.hidden = false;
+		this.hiddengroups = null; // true for all, or group => true
+
+		this.timerid = null;
+		this.timerkind = null;
+
+		this.visibilityListener = null;
+		if (args.pauseWhenHidden) {
+			watchVisibility(this, args.pauseWhenHidden);
+		}
+	};
+
+	/* register
+	 *
+	 * Hands a belt over to the scheduler, taking it from 
+	 * any scheduler it was registered with before.
+	 *
+	 * Required:
+	 *   [0] belt: ConveyorBelt.ConveyorBelt
+	 *
+	 * Optional:
+	 *   [1] args:
+	 *     weight: positive number, its share of each step relative
+	 *       to the other belts' (default in ConveyorBelt.defaults.scheduler)
+	 *     group: name of its group (default none)
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.Scheduler.prototype.register = function (belt, args) {
+		args = args || {};
+
+		var weight = (args.weight === undefined)
+			? ConveyorBelt.defaults.scheduler.weight
+			: args.weight;
+
+		if (!(weight > 0)) {
+			throw "A belt's weight must be positive, not " + weight + ".";
+		}
+
+		if (belt.scheduler) {
+			belt.scheduler.unregister(belt);
+		}
+
+		unschedule(belt);
+		belt.scheduler = this;
+
+		this.members.push({
+			belt: belt,
+			weight: weight,
+			group: (args.group === undefined) ? null : args.group,
+			credit: 0, // msec the belt may still use, negative if in debt
+			spent: 0 // msec used in total
+		});
+
+		if (belt.active) {
+			schedule(belt);
+		}
+
+		return this;
+	};
+
+	/* unregister
+	 *
+	 * Returns a belt to running on its own timer.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.Scheduler.prototype.unregister = function (belt) {
+		var index = memberIndex(this, belt);
+		if (index === -1) {
+			return this;
+		}
+
+		this.members.splice(index, 1);
+		belt.scheduler = null;
+
+		if (belt.active) {
+			schedule(belt);
+		}
+
+		if (this.members.length === 0) {
+			unscheduleScheduler(this);
+		}
+
+		return this;
+	};
+
+	/* pause
+	 *
+	 * Stops running a group's belts until resumed. Their 
+	 * share of each step goes to the belts still running.
+	 *
+	 * Optional:
+	 *   [0] group: name of the group (default all belts)
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.Scheduler.prototype.pause = function (group) {
+		if (group === undefined) {
+			this.paused = true;
+		}
+		else {
+			this.pausedgroups[group] = true;
+		}
+
+		return this;
+	};
+
+	/* resume
+	 *
+	 * Undoes pause. Resuming all belts also resumes 
+	 * every group paused on its own.
+	 *
+	 * Optional:
+	 *   [0] group: name of the group (default all belts)
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.Scheduler.prototype.resume = function (group) {
+		if (group === undefined) {
+			this.paused = false;
+			this.pausedgroups = {};
+		}
+		else {
+			delete this.pausedgroups[group];
+		}
+
+		wake(this);
+
+		return this;
+	};
+
+	/* isPaused
+	 *
+	 * Optional:
+	 *   [0] group: name of the group (default checks 
+	 *     the scheduler as a whole)
+	 *
+	 * Returns: whether that group's belts are held 
+	 *   back, by pause or by the page being hidden
+	 */
+	ConveyorBelt.Scheduler.prototype.isPaused = function (group) {
+		if (this.paused) {
+			return true;
+		}
+		else if (this.hidden && this.hiddengroups === true) {
+			return true;
+		}
+		else if (group === undefined || group === null) {
+			return false;
+		}
+
+		return !!this.pausedgroups[group] 
+			|| !!(this.hidden && this.hiddengroups[group]);
+	};
+
+	/* stats
+	 *
+	 * Required: None
+	 *
+	 * Returns: [{ 
+	 *   belt, weight, group, paused,
+	 *   spent: msec the belt has run for,
+	 *   share: fraction of all the time spent that was its
+	 * }, ... ] in order of registration
+	 */
+	ConveyorBelt.Scheduler.prototype.stats = function () {
+		var scheduler = this;
+
+		var total = 0;
+		scheduler.members.forEach(function (member) {
+			total += member.spent;
+		});
+
+		return scheduler.members.map(function (member) {
+			return {
+				belt: member.belt,
+				weight: member.weight,
+				group: member.group,
+				paused: scheduler.isPaused(member.group),
+				spent: member.spent,
+				share: (total > 0) ? member.spent / total : 0
+			};
+		});
+	};
+
+	/* destroy
+	 *
+	 * Unregisters every belt, returning each to its own 
+	 * timer, and stops listening for visibility changes.
+	 *
+	 * Required: None
+	 *
+	 * Returns: void
+	 */
+	ConveyorBelt.Scheduler.prototype.destroy = function () {
+		while (this.members.length) {
+			this.unregister(this.members[0].belt);
+		}
+
+		if (this.visibilityListener) {
+			document.removeEventListener('visibilitychange', this.visibilityListener);
+			this.visibilityListener = null;
+		}
+	};
+
+	/* systemClock
+	 *
+	 * The clock belts and schedulers use by default, which is
+	 * just the environment's own timers. Any object with the 
+	 * same methods can stand in for it:
+	 *
+	 *   now: returns the time in msec
+	 *   setTimeout, clearTimeout, setInterval, clearInterval:
+	 *     as the globals, but only taking a callback and msec
+	 *   requestAnimationFrame and cancelAnimationFrame, 
+	 *   requestIdleCallback and cancelIdleCallback: optional, 
+	 *     without them 'frame' and 'idle' fall back on setTimeout
+	 *   record: optional function (belt, task) called whenever 
+	 *     a task starts running
+	 */
+	ConveyorBelt.systemClock = {
+		now: function () {
+			return (typeof(performance) !== 'undefined' && performance.now)
+				? performance.now()
+				: Date.now();
+		},
+		setTimeout: function (callback, msec) {
+			return setTimeout(callback, msec);
+		},
+		clearTimeout: function (id) {
+			clearTimeout(id);
+		},
+		setInterval: function (callback, msec) {
+			return setInterval(callback, msec);
+		},
+		clearInterval: function (id) {
+			clearInterval(id);
+		}
+	};
+
+	if (typeof(requestAnimationFrame) === 'function') {
+		ConveyorBelt.systemClock.requestAnimationFrame = function (callback) {
+			return requestAnimationFrame(callback);
+		};
+		ConveyorBelt.systemClock.cancelAnimationFrame = function (id) {
+			cancelAnimationFrame(id);
+		};
+	}
+
+	if (typeof(requestIdleCallback) === 'function') {
+		ConveyorBelt.systemClock.requestIdleCallback = function (callback) {
+			return requestIdleCallback(callback);
+		};
+		ConveyorBelt.systemClock.cancelIdleCallback = function (id) {
+			cancelIdleCallback(id);
+		};
+	}
+
+	/* VirtualClock
+	 *
+	 * A clock (see systemClock) whose time only passes when 
+	 * told to, firing timers as it goes. Belts using it behave 
+	 * the same on every run, which makes them testable without 
+	 * waiting on real time.
+	 *
+	 * Time doesn't pass while tasks run unless they advance 
+	 * the clock themselves, so a task standing in for 5 msec 
+	 * of work should call clock.advance(5). Promises still 
+	 * settle on their own schedule, after the current tick.
+	 *
+	 * It has no animation frames or idle callbacks, so 'frame' 
+	 * and 'idle' belts step every 16 msec as they do in node.
+	 *
+	 * Optional:
+	 *   [0] time: msec to start at (default 0)
+	 *
+	 * Returns: this (requires new)
+	 */
+	ConveyorBelt.VirtualClock = function (time) {
+		this.time = time || 0;
+		this.timers = []; // { id, callback, due, interval }
+		this.nextid = 1;
+		this.history = []; // { time, belt, task } for each task run, in order
+	};
+
+	ConveyorBelt.VirtualClock.prototype.now = function () {
+		return this.time;
+	};
+
+	ConveyorBelt.VirtualClock.prototype.setTimeout = function (callback, msec) {
+		return addTimer(this, callback, msec, null);
+	};
+
+	ConveyorBelt.VirtualClock.prototype.setInterval = function (callback, msec) {
+		// Browsers clamp intervals too. Here, it keeps 
+		// tick from looping forever on a zero interval.
+		return addTimer(this, callback, msec, Math.max(1, msec || 0));
+	};
+
+	ConveyorBelt.VirtualClock.prototype.clearTimeout = function (id) {
+		this.timers = this.timers.filter(function (timer) {
+			return timer.id !== id;
+		});
+	};
+
+	ConveyorBelt.VirtualClock.prototype.clearInterval = ConveyorBelt.VirtualClock.prototype.clearTimeout;
+
+	ConveyorBelt.VirtualClock.prototype.record = function (belt, task) {
+		this.history.push({
+			time: this.time,
+			belt: belt,
+			task: task
+		});
+	};
+
+	/* tick
+	 *
+	 * Lets msec pass, firing the timers that come due along 
+	 * the way in order (and at the time) they come due.
+	 *
+	 * Required:
+	 *   [0] msec
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.VirtualClock.prototype.tick = function (msec) {
+		var until = this.time + msec;
+
+		var timer = nextTimer(this);
+		while (timer && timer.due <= until) {
+			fire(this, timer);
+			timer = nextTimer(this);
+		}
+
+		this.time = Math.max(this.time, until);
+
+		return this;
+	};
+
+	/* runAll
+	 *
+	 * Fires timers, moving time forward to each in turn, 
+	 * until none are left.
+	 *
+	 * Optional:
+	 *   [0] limit: the most timers to fire before giving 
+	 *     up on something that keeps setting new ones 
+	 *     (default RUN_ALL_LIMIT)
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.VirtualClock.prototype.runAll = function (limit) {
+		limit = limit || RUN_ALL_LIMIT;
+
+		var timer = nextTimer(this);
+		for (var fired = 0; timer; fired++) {
+			if (fired >= limit) {
+				throw "runAll gave up after " + limit + " timers. Is an interval still running?";
+			}
+
+			fire(this, timer);
+			timer = nextTimer(this);
+		}
+
+		return this;
+	};
+
+	/* advance
+	 *
+	 * Moves time forward without firing any timers, as if 
+	 * that much work had just been done. Timers that came 
+	 * due fire late, on the next tick or runAll.
+	 *
+	 * Required:
+	 *   [0] msec
+	 *
+	 * Returns: this (for chaining)
+	 */
+	ConveyorBelt.VirtualClock.prototype.advance = function (msec) {
+		this.time += msec;
+		return this;
+	};
+
+	/* coalesce
+	 *
+	 * Folds a newly added function into the queued 
+	 * task with the same key.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] pending: the queued task
+	 *   [2] fn: the function being added
+	 *   [3] args: as given to add
+	 *
+	 * Returns: void
+	 */
+	function coalesce (belt, pending, fn, args) {
+		var strategy = args.coalesce || belt.coalesce;
+
+		if (typeof(strategy) === 'function') {
+			pending.fn = strategy(pending.fn, fn);
+		}
+		else if (strategy === 'replace') {
+			pending.fn = fn;
+		}
+		else if (strategy !== 'keep-first') {
+			throw strategy + " is not a known way to coalesce. Use 'replace', 'keep-first', or a function.";
+		}
+
+		pending.coalesced++;
+		belt.coalesced++;
+
+		if ((args.priority || 0) > pending.priority) {
+			belt.prioritize(pending, args.priority);
+		}
+	}
+
+	/* schedule
+	 *
+	 * Sets up the timer that drives the belt, if it 
+	 * isn't already running. Belts with a scheduler 
+	 * rely on its timer instead.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *
+	 * Returns: void
+	 */
+	function schedule (belt) {
+		if (belt.timerid !== null || belt.speed === 'immediate') {
+			return;
+		}
+		else if (belt.scheduler) {
+			wake(belt.scheduler);
+			return;
+		}
+
+		var timer = timerFor(belt);
+
+		belt.timerkind = timer;
+		belt.timerid = timer.request(belt, function (deadline) {
+			if (timer.repeats) {
+				belt.process();
+				return;
+			}
+
+			belt.timerid = null;
+
+			var started = now(belt);
+			belt.process(deadline);
+
+			if (belt.speed === 'adaptive') {
+				adapt(belt, now(belt) - started);
+			}
+
+			if (belt.active && belt.length > 0) {
+				schedule(belt);
+			}
+		});
+	}
+
+	/* unschedule
+	 *
+	 * Required:
+	 *   [0] belt
+	 *
+	 * Returns: void
+	 */
+	function unschedule (belt) {
+		if (belt.timerid !== null) {
+			belt.timerkind.cancel(belt, belt.timerid);
+			belt.timerid = null;
+		}
+	}
+
+	/* timerFor
+	 *
+	 * Required:
+	 *   [0] owner: a belt or scheduler, whose speed is msec, 
+	 *     'frame', 'idle', or 'adaptive'
+	 *
+	 * Returns: one of TIMERS
+	 */
+	function timerFor (owner) {
+		var speed = owner.speed;
+
+		if (speed === 'adaptive') {
+			return TIMERS.adaptive;
+		}
+		else if (speed === 'frame') {
+			return typeof(owner.clock.requestAnimationFrame) === 'function' 
+				? TIMERS.frame 
+				: TIMERS.timeout;
+		}
+		else if (speed === 'idle') {
+			return typeof(owner.clock.requestIdleCallback) === 'function' 
+				? TIMERS.idle 
+				: TIMERS.timeout;
+		}
+
+		return TIMERS.interval;
+	}
+
+	/* TIMERS
+	 *
+	 * The ways a belt (or a scheduler, which has the speed, 
+	 * budget, and clock they use) can be driven on its clock. 
+	 * request(belt, callback) starts the timer and returns an 
+	 * id which cancel(belt, id) accepts.
+	 * Timers that don't repeat call back once, with a function 
+	 * saying how much is left to do (msec, or for 'adaptive', 
+	 * tasks), and are requested anew by schedule each time.
+	 */
+	var TIMERS = {
+		interval: {
+			repeats: true,
+			request: function (belt, callback) {
+				return belt.clock.setInterval(callback, belt.speed);
+			},
+			cancel: function (belt, id) {
+				belt.clock.clearInterval(id);
+			}
+		},
+		frame: {
+			repeats: false,
+			request: function (belt, callback) {
+				return belt.clock.requestAnimationFrame(function () {
+					callback(budgetDeadline(belt));
+				});
+			},
+			cancel: function (belt, id) {
+				belt.clock.cancelAnimationFrame(id);
+			}
+		},
+		idle: {
+			repeats: false,
+			request: function (belt, callback) {
+				return belt.clock.requestIdleCallback(function (deadline) {
+					callback(function () {
+						return deadline.timeRemaining();
+					});
+				});
+			},
+			cancel: function (belt, id) {
+				belt.clock.cancelIdleCallback(id);
+			}
+		},
+		adaptive: {
+			repeats: false,
+			request: function (belt, callback) {
+				return belt.clock.setTimeout(function () {
+					var remaining = belt.controller.batch;
+					callback(function () {
+						remaining--;
+						return remaining;
+					});
+				}, belt.controller.interval);
+			},
+			cancel: function (belt, id) {
+				belt.clock.clearTimeout(id);
+			}
+		},
+		// Stands in for the other two where they don't 
+		// exist (e.g. node), pacing itself like 60 fps
+		timeout: {
+			repeats: false,
+			request: function (belt, callback) {
+				return belt.clock.setTimeout(function () {
+					callback(budgetDeadline(belt));
+				}, FALLBACK_DELAY);
+			},
+			cancel: function (belt, id) {
+				belt.clock.clearTimeout(id);
+			}
+		}
+	};
+
+	// msec between steps when setTimeout stands in for 
+	// requestAnimationFrame or requestIdleCallback
+	var FALLBACK_DELAY = 16;
+
+	/* budgetDeadline
+	 *
+	 * Required:
+	 *   [0] owner: a belt or scheduler
+	 *
+	 * Returns: function giving the msec left of the 
+	 *   owner's budget, counting from now
+	 */
+	function budgetDeadline (owner) {
+		var start = now(owner);
+
+		return function () {
+			return owner.budget - (now(owner) - start);
+		};
+	}
+
+	/* wake
+	 *
+	 * Sets up the timer that drives a scheduler, if 
+	 * it isn't already running and there's work to do.
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *
+	 * Returns: void
+	 */
+	function wake (scheduler) {
+		if (scheduler.timerid !== null || !hasWork(scheduler)) {
+			return;
+		}
+
+		var timer = timerFor(scheduler);
+
+		scheduler.timerkind = timer;
+		scheduler.timerid = timer.request(scheduler, function (deadline) {
+			if (!timer.repeats) {
+				scheduler.timerid = null;
+			}
+
+			step(scheduler, deadline || budgetDeadline(scheduler));
+
+			if (!hasWork(scheduler)) {
+				unscheduleScheduler(scheduler);
+			}
+			else if (!timer.repeats) {
+				wake(scheduler);
+			}
+		});
+	}
+
+	/* unscheduleScheduler
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *
+	 * Returns: void
+	 */
+	function unscheduleScheduler (scheduler) {
+		if (scheduler.timerid !== null) {
+			scheduler.timerkind.cancel(scheduler, scheduler.timerid);
+			scheduler.timerid = null;
+		}
+	}
+
+	/* step
+	 *
+	 * Runs a scheduler's belts for one step. Each belt with 
+	 * work is credited its weighted share of the budget, up 
+	 * to the share itself so that unused time isn't hoarded, 
+	 * and then runs until its credit or the step's time runs 
+	 * out. Belts take turns going first.
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *   [1] deadline: function returning msec left in the step
+	 *
+	 * Returns: void
+	 */
+	function step (scheduler, deadline) {
+		var ready = scheduler.members.filter(function (member) {
+			return isReady(scheduler, member);
+		});
+
+		if (ready.length === 0) {
+			return;
+		}
+
+		var budget = Math.max(0, deadline());
+		var total = 0;
+		ready.forEach(function (member) {
+			total += member.weight;
+		});
+
+		scheduler.turn = (scheduler.turn + 1) % ready.length;
+
+		for (var i = 0; i < ready.length; i++) {
+			var member = ready[(scheduler.turn + i) % ready.length];
+			var share = budget * member.weight / total;
+
+			member.credit = Math.min(member.credit + share, share);
+
+			if (member.credit <= 0 || member.belt.length === 0) {
+				continue;
+			}
+			else if (deadline() <= 0) {
+				break;
+			}
+
+			var started = now(scheduler);
+			member.belt.process(creditDeadline(scheduler, member, started, deadline));
+
+			var spent = now(scheduler) - started;
+			member.credit -= spent;
+			member.spent += spent;
+		}
+	}
+
+	/* creditDeadline
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *   [1] member: of the scheduler
+	 *   [2] started: when the member began running
+	 *   [3] deadline: of the scheduler's step
+	 *
+	 * Returns: function giving the msec left to the member
+	 */
+	function creditDeadline (scheduler, member, started, deadline) {
+		return function () {
+			return Math.min(member.credit - (now(scheduler) - started), deadline());
+		};
+	}
+
+	/* isReady
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *   [1] member
+	 *
+	 * Returns: whether the member's belt should be run
+	 */
+	function isReady (scheduler, member) {
+		return member.belt.active 
+			&& member.belt.length > 0
+			&& member.belt.speed !== 'immediate'
+			&& !scheduler.isPaused(member.group);
+	}
+
+	/* hasWork
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *
+	 * Returns: whether any of its belts should be run
+	 */
+	function hasWork (scheduler) {
+		return scheduler.members.some(function (member) {
+			return isReady(scheduler, member);
+		});
+	}
+
+	/* memberIndex
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *   [1] belt
+	 *
+	 * Returns: index of the belt's member, or -1
+	 */
+	function memberIndex (scheduler, belt) {
+		for (var i = 0; i < scheduler.members.length; i++) {
+			if (scheduler.members[i].belt === belt) {
+				return i;
+			}
+		}
+
+		return -1;
+	}
+
+	/* watchVisibility
+	 *
+	 * Pauses a scheduler's belts while the page is hidden. 
+	 * Does nothing outside of browsers.
+	 *
+	 * Required:
+	 *   [0] scheduler
+	 *   [1] groups: true for all, or a list of group names
+	 *
+	 * Returns: void
+	 */
+	function watchVisibility (scheduler, groups) {
+		if (typeof(document) === 'undefined' || typeof(document.addEventListener) !== 'function') {
+			return;
+		}
+
+		if (groups === true) {
+			scheduler.hiddengroups = true;
+		}
+		else {
+			scheduler.hiddengroups = {};
+			groups.forEach(function (group) {
+				scheduler.hiddengroups[group] = true;
+			});
+		}
+
+		scheduler.visibilityListener = function () {
+			scheduler.hidden = !!document.hidden;
+
+			if (!scheduler.hidden) {
+				wake(scheduler);
+			}
+		};
+
+		scheduler.hidden = !!document.hidden;
+		document.addEventListener('visibilitychange', scheduler.visibilityListener);
+	}
+
+	/* controller
+	 *
+	 * Creates the state of an 'adaptive' belt's pace, 
+	 * starting out as quick as its bounds allow.
+	 *
+	 * Required:
+	 *   [0] settings: as given to the constructor's adaptive
+	 *
+	 * Returns: { 
+	 *   settings, 
+	 *   interval: msec, batch: tasks (the current pace),
+	 *   lastbatch: when the last batch ended,
+	 *   decisions: the most recent (up to DECISIONS_KEPT) 
+	 *     decisions, oldest first 
+	 * }
+	 */
+	function controller (settings) {
+		var defaults = ConveyorBelt.defaults.adaptive;
+		var merged = {};
+
+		for (var key in defaults) {
+			if (defaults.hasOwnProperty(key)) {
+				merged[key] = (settings[key] === undefined) 
+					? defaults[key] 
+					: settings[key];
+			}
+		}
+
+		if (merged.target !== 'latency' && merged.target !== 'cpu') {
+			throw merged.target + " is not a known target. Use 'latency' or 'cpu'.";
+		}
+
+		return {
+			settings: merged,
+			interval: merged.interval[0],
+			batch: merged.batch[0],
+			lastbatch: null,
+			decisions: []
+		};
+	}
+
+	/* adapt
+	 *
+	 * After each batch, an 'adaptive' belt speeds up or slows 
+	 * down in the manner of TCP congestion control (AIMD): it 
+	 * speeds up additively, first shortening the interval by 
+	 * step msec and then growing the batch by one task, and 
+	 * slows down multiplicatively, first halving the batch 
+	 * and then doubling the interval.
+	 *
+	 * Targeting latency, it speeds up when the oldest queued 
+	 * task has waited longer than latency and slows down when 
+	 * it is well under (less than half). Targeting cpu, it 
+	 * slows down when the share of time spent in tasks since 
+	 * the last batch exceeds share, and otherwise speeds up 
+	 * while work is waiting.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] work: msec the batch took
+	 *
+	 * Returns: void
+	 */
+	function adapt (belt, work) {
+		var control = belt.controller;
+		var settings = control.settings;
+		var time = now(belt);
+
+		var elapsed = (control.lastbatch === null) 
+			? work + control.interval
+			: time - control.lastbatch;
+
+		var share = (elapsed > 0) ? Math.min(1, work / elapsed) : 1;
+		var latency = oldestWait(belt, time);
+
+		var action = 'hold';
+		if (settings.target === 'latency') {
+			if (latency > settings.latency) {
+				action = 'faster';
+			}
+			else if (latency < settings.latency / 2) {
+				action = 'slower';
+			}
+		}
+		else if (share > settings.share) {
+			action = 'slower';
+		}
+		else if (belt.length > 0) {
+			action = 'faster';
+		}
+
+		if (action === 'faster') {
+			if (control.interval > settings.interval[0]) {
+				control.interval = Math.max(settings.interval[0], control.interval - settings.step);
+			}
+			else {
+				control.batch = Math.min(settings.batch[1], control.batch + 1);
+			}
+		}
+		else if (action === 'slower') {
+			if (control.batch > settings.batch[0]) {
+				control.batch = Math.max(settings.batch[0], Math.floor(control.batch / 2));
+			}
+			else {
+				control.interval = Math.min(settings.interval[1], control.interval * 2);
+			}
+		}
+
+		control.lastbatch = time;
+
+		var decision = {
+			time: time,
+			action: action,
+			latency: latency,
+			share: share,
+			backlog: belt.length,
+			interval: control.interval,
+			batch: control.batch
+		};
+
+		control.decisions.push(decision);
+		if (control.decisions.length > DECISIONS_KEPT) {
+			control.decisions.shift();
+		}
+
+		trigger(belt, 'adapt', decision);
+	}
+
+	// How many of an adaptive belt's decisions to remember
+	var DECISIONS_KEPT = 100;
+
+	/* oldestWait
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] time: now
+	 *
+	 * Returns: msec the longest waiting queued task has waited
+	 */
+	function oldestWait (belt, time) {
+		var oldest = time;
+
+		belt.lanes.forEach(function (lane) {
+			oldest = Math.min(oldest, longestWaiting(lane).added);
+		});
+
+		return time - oldest;
+	}
+
+	/* run
+	 *
+	 * Executes a task that has been taken out of the queue.
+	 * If it returns a promise, it stays running until
+	 * the promise settles. If it returns an iterator, 
+	 * only its first step is taken and later ones on later 
+	 * turns. Errors are caught and handed to fail rather 
+	 * than interrupting the belt.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *
+	 * Returns: void
+	 */
+	function run (belt, task) {
+		task.status = 'running';
+		task.started = now(belt);
+
+		if (belt.clock.record) {
+			belt.clock.record(belt, task);
+		}
+
+		if (belt.trace) {
+			mark(belt, task, 'start');
+		}
+
+		trigger(belt, 'task:start', task);
+
+		var result;
+		try {
+			if (!task.iterator) {
+				result = task.fn();
+
+				if (isIterator(result)) {
+					task.iterator = result;
+				}
+			}
+
+			if (task.iterator) {
+				result = task.iterator.next();
+			}
+		}
+		catch (error) {
+			finish(belt, task, 'failed', error);
+			return;
+		}
+
+		var stepping = !!task.iterator;
+
+		if (!result || typeof(result.then) !== 'function') {
+			conclude(belt, task, stepping, result);
+			return;
+		}
+
+		belt.running++;
+
+		result.then(function (value) {
+			belt.running--;
+			conclude(belt, task, stepping, value);
+			resume(belt);
+		}, function (error) {
+			belt.running--;
+			finish(belt, task, 'failed', error);
+			resume(belt);
+		});
+	}
+
+	/* conclude
+	 *
+	 * Finishes a run that didn't throw. For generator tasks, 
+	 * the run was a single step which either yielded or 
+	 * brought the generator to its end.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *   [2] stepping: whether the run was a generator step
+	 *   [3] value: the result, or for steps { value, done }
+	 *
+	 * Returns: void
+	 */
+	function conclude (belt, task, stepping, value) {
+		if (!stepping) {
+			finish(belt, task, 'done', value);
+		}
+		else if (value.done) {
+			finish(belt, task, 'done', value.value);
+		}
+		else {
+			task.progress = value.value;
+			finish(belt, task, 'yielded', value.value);
+		}
+	}
+
+	/* finish
+	 *
+	 * Wraps up a run of a task: records its timing, settles, 
+	 * fails, or (for a generator step) requeues it, and lets 
+	 * listeners know.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *   [2] outcome: 'done', 'failed', or 'yielded'
+	 *   [3] value: the result, error, or yielded value
+	 *
+	 * Returns: void
+	 */
+	function finish (belt, task, outcome, value) {
+		var end = now(belt);
+		var duration = end - task.started;
+
+		record(belt.samples, duration, task.started - task.added, end);
+
+		if (belt.trace) {
+			mark(belt, task, 'end');
+		}
+
+		if (outcome === 'yielded') {
+			trigger(belt, 'task:end', task, duration);
+
+			if (task.onProgress) {
+				notify(belt, task.onProgress, [ value, task ]);
+			}
+
+			trigger(belt, 'task:progress', value, task);
+			rotate(belt, task);
+			return;
+		}
+
+		if (outcome === 'failed') {
+			belt.failed++;
+			fail(belt, task, value);
+		}
+		else {
+			belt.completed++;
+			settle(belt, task, 'done', value);
+		}
+
+		trigger(belt, 'task:end', task, duration);
+		checkIdle(belt);
+	}
+
+	/* rotate
+	 *
+	 * Sends a generator task that just took a step to the back 
+	 * of the line for its priority. The back is the end the 
+	 * belt's order takes from last, so for 'lifo' belts the task 
+	 * is given a sequence from before everything queued. Its 
+	 * added time is reset all the same, see longestWaiting.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *
+	 * Returns: void
+	 */
+	function rotate (belt, task) {
+		belt.rotations++;
+
+		task.sequence = (belt.order === 'fifo')
+			? belt.sequence++
+			: -belt.rotations;
+
+		readd(belt, task);
+	}
+
+	/* isIterator
+	 *
+	 * Required:
+	 *   [0] value
+	 *
+	 * Returns: whether value is a (sync or async) iterator, 
+	 *   as generator functions return
+	 */
+	function isIterator (value) {
+		if (!value || typeof(value.next) !== 'function' || typeof(value.then) === 'function') {
+			return false;
+		}
+
+		return typeof(Symbol) !== 'undefined' && (
+			typeof(value[Symbol.iterator]) === 'function' 
+			|| typeof(value[Symbol.asyncIterator]) === 'function'
+		);
+	}
+
+	/* abandon
+	 *
+	 * Marks a task withdrawn from the belt as cancelled, 
+	 * rejecting its promise (if anyone asked for it) and
+	 * letting a generator that was cut short clean up 
+	 * (i.e. run its finally blocks).
+	 *
+	 * Required:
+	 *   [0] task
+	 *
+	 * Returns: void
+	 */
+	function abandon (task) {
+		var error = new Error("The task was cancelled.");
+		error.name = 'CancelError';
+
+		task.status = 'cancelled';
+		task.error = error;
+
+		if (task.deferred) {
+			task.deferred.reject(error);
+		}
+
+		var iterator = task.iterator;
+		task.iterator = null;
+
+		if (iterator && typeof(iterator['return']) === 'function') {
+			try {
+				var closing = iterator['return']();
+				if (closing && typeof(closing.then) === 'function') {
+					closing.then(null, function () {});
+				}
+			}
+			catch (error) {
+				// it's being discarded either way
+			}
+		}
+	}
+
+	/* fail
+	 *
+	 * Schedules a failed task to be retried after its backoff 
+	 * or, once it is out of attempts, gives up on it and moves
+	 * it to belt.deadletters. Either way, 'error' is triggered.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *   [2] error
+	 *
+	 * Returns: void
+	 */
+	function fail (belt, task, error) {
+		task.failures++;
+		task.error = error;
+		task.iterator = null; // generators start over on retry
+
+		if (task.failures < task.attempts) {
+			task.status = 'retrying';
+			belt.retrying++;
+
+			var delay = belt.backoff * Math.pow(2, task.failures - 1);
+
+			task.retryid = belt.clock.setTimeout(function () {
+				task.retryid = null;
+				belt.retrying--;
+				readd(belt, task);
+			}, delay);
+		}
+		else {
+			belt.deadletters.push(task);
+			settle(belt, task, 'failed', error);
+		}
+
+		trigger(belt, 'error', error, task);
+	}
+
+	/* readd
+	 *
+	 * Puts a task that already ran back in line.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *
+	 * Returns: void
+	 */
+	function readd (belt, task) {
+		task.status = 'queued';
+		task.added = now(belt);
+		enqueue(belt, task);
+
+		if (!belt.active) {
+			return;
+		}
+
+		if (belt.speed === 'immediate') {
+			// If a burn is already underway, it will get to it
+			if (!belt.burning) {
+				belt.burn();
+			}
+		}
+		else {
+			schedule(belt);
+		}
+	}
+
+	/* trigger
+	 *
+	 * Calls the callbacks attached to an action.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] action
+	 *
+	 * Optional:
+	 *   [2...] arguments to pass the callbacks
+	 *
+	 * Returns: void
+	 */
+	function trigger (belt, action) {
+		var handlers = belt.callbacks[action];
+		if (!handlers) {
+			return;
+		}
+
+		var args = Array.prototype.slice.call(arguments, 2);
+
+		handlers.slice().forEach(function (fn) {
+			notify(belt, fn, args);
+		});
+	}
+
+	/* notify
+	 *
+	 * Calls a listener (or onProgress) such that whatever 
+	 * it throws can't leave the belt in a broken state, e.g. 
+	 * with a task stuck 'running'. The error is rethrown 
+	 * from a timer instead so that it is still reported.
+	 *
+	 * Required:
+	 *   [0] belt: also what the listener is called on
+	 *   [1] fn
+	 *   [2] args: array
+	 *
+	 * Returns: void
+	 */
+	function notify (belt, fn, args) {
+		try {
+			fn.apply(belt, args);
+		}
+		catch (error) {
+			belt.clock.setTimeout(function () {
+				throw error;
+			}, 0);
+		}
+	}
+
+	/* settle
+	 *
+	 * Records how a task ended and notifies whoever 
+	 * is waiting on it.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *   [2] status: 'done' or 'failed'
+	 *   [3] value: the result or error
+	 *
+	 * Returns: void
+	 */
+	function settle (belt, task, status, value) {
+		task.status = status;
+
+		if (status === 'done') {
+			task.result = value;
+		}
+		else {
+			task.error = value;
+		}
+
+		if (task.deferred) {
+			task.deferred[status === 'done' ? 'resolve' : 'reject'](value);
+		}
+	}
+
+	/* resume
+	 *
+	 * Called when a pending promise frees up a slot. An 
+	 * immediate belt has no timer to pick up the slack, 
+	 * so it carries on burning here.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *
+	 * Returns: void
+	 */
+	function resume (belt) {
+		if (belt.active && belt.speed === 'immediate') {
+			belt.burn();
+		}
+	}
+
+	/* promiseFor
+	 *
+	 * Creates the promise behind a task's then on first use.
+	 * Deferring it means failures nobody asked about don't 
+	 * surface as unhandled rejections.
+	 *
+	 * Required:
+	 *   [0] task
+	 *
+	 * Returns: Promise
+	 */
+	function promiseFor (task) {
+		if (task.deferred) {
+			return task.deferred.promise;
+		}
+
+		var deferred = {};
+		deferred.promise = new Promise(function (resolve, reject) {
+			deferred.resolve = resolve;
+			deferred.reject = reject;
+		});
+
+		if (task.status === 'done') {
+			deferred.resolve(task.result);
+		}
+		else if (task.status === 'failed' || task.status === 'cancelled') {
+			deferred.reject(task.error);
+		}
+
+		task.deferred = deferred;
+
+		return deferred.promise;
+	}
+
+	/* checkIdle
+	 *
+	 * If the queue is empty and nothing is running, triggers 
+	 * 'drain' (once per batch of work) and resolves the 
+	 * onIdle promises.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *
+	 * Returns: void
+	 */
+	function checkIdle (belt) {
+		if (belt.length > 0 || belt.running > 0 || belt.retrying > 0) {
+			return;
+		}
+
+		if (belt.busysince !== null) {
+			belt.activetime += now(belt) - belt.busysince;
+			belt.busysince = null;
+			trigger(belt, 'drain');
+		}
+
+		var idlers = belt.idlers;
+		belt.idlers = [];
+
+		idlers.forEach(function (resolve) {
+			resolve();
+		});
+	}
+
+	/* enqueue
+	 *
+	 * Files a task into the lane for its priority, 
+	 * creating the lane if need be. Within a lane, tasks
+	 * are kept in the order they were added.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task: ConveyorBelt.Task
+	 *
+	 * Returns: void
+	 */
+	function enqueue (belt, task) {
+		var lanes = belt.lanes;
+		var i = 0;
+
+		while (i < lanes.length && lanes[i].priority > task.priority) {
+			i++;
+		}
+
+		if (i === lanes.length || lanes[i].priority !== task.priority) {
+			lanes.splice(i, 0, { priority: task.priority, tasks: [] });
+		}
+
+		var tasks = lanes[i].tasks;
+		var position = tasks.length;
+
+		// Usually appends, but reprioritized tasks 
+		// are slotted back in by age
+		while (position > 0 && tasks[position - 1].sequence > task.sequence) {
+			position--;
+		}
+
+		tasks.splice(position, 0, task);
+		belt.length++;
+
+		if (belt.busysince === null) {
+			belt.busysince = now(belt);
+		}
+
+		// A retried task may find its key taken in the meantime
+		if (task.key !== undefined && !(task.key in belt.keys)) {
+			belt.keys[task.key] = task;
+		}
+
+		checkBacklog(belt);
+	}
+
+	/* dequeue
+	 *
+	 * Removes the next task to run. The lane chosen is the 
+	 * one whose priority, plus whatever its longest waiting 
+	 * task has gained from aging, is highest. Within a lane, 
+	 * belt.order decides, unless that longest waiting task 
+	 * has gained a level already. Then it's the one to run, 
+	 * or on 'lifo' belts newer tasks would keep it waiting 
+	 * for as long as they kept coming.
+	 *
+	 * Required:
+	 *   [0] belt: with at least one task queued
+	 *
+	 * Returns: task
+	 */
+	function dequeue (belt) {
+		var time = now(belt);
+		var best = null;
+		var bestscore = -Infinity;
+		var longest = null; // the longest waiting task in best
+
+		for (var i = 0; i < belt.lanes.length; i++) {
+			var lane = belt.lanes[i];
+			var score = lane.priority;
+			var waiting = longestWaiting(lane);
+
+			if (belt.aging > 0) {
+				score += (time - waiting.added) / belt.aging;
+			}
+
+			// Strictly greater so that ties go to the 
+			// lane with the higher base priority
+			if (score > bestscore) {
+				best = lane;
+				bestscore = score;
+				longest = waiting;
+			}
+		}
+
+		var task;
+		if (belt.aging > 0 && time - longest.added >= belt.aging) {
+			task = longest;
+			best.tasks.splice(best.tasks.indexOf(task), 1);
+		}
+		else {
+			task = (belt.order === 'fifo') 
+				? best.tasks.shift() 
+				: best.tasks.pop();
+		}
+
+		belt.length--;
+
+		if (best.tasks.length === 0) {
+			belt.lanes.splice(belt.lanes.indexOf(best), 1);
+		}
+
+		forgetKey(belt, task);
+		checkBacklog(belt);
+
+		return task;
+	}
+
+	/* longestWaiting
+	 *
+	 * The task in a lane that joined it earliest. Tasks are 
+	 * kept in the order they were added, so that's normally 
+	 * the first one. On 'lifo' belts, though, generator tasks 
+	 * that just took a step are put in front of it (see rotate), 
+	 * so it's after them.
+	 *
+	 * Required:
+	 *   [0] lane
+	 *
+	 * Returns: task
+	 */
+	function longestWaiting (lane) {
+		var tasks = lane.tasks;
+		var longest = tasks[0];
+
+		for (var i = 0; i < tasks.length; i++) {
+			if (tasks[i].added < longest.added) {
+				longest = tasks[i];
+			}
+
+			if (tasks[i].sequence >= 0) {
+				break;
+			}
+		}
+
+		return longest;
+	}
+
+	/* pruneLanes
+	 *
+	 * Drops lanes that have run out of tasks.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *
+	 * Returns: void
+	 */
+	function pruneLanes (belt) {
+		belt.lanes = belt.lanes.filter(function (lane) {
+			return lane.tasks.length > 0;
+		});
+	}
+
+	/* remove
+	 *
+	 * Takes a particular queued task out of its lane.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *
+	 * Returns: void
+	 */
+	function remove (belt, task) {
+		for (var i = 0; i < belt.lanes.length; i++) {
+			var lane = belt.lanes[i];
+			var index = lane.tasks.indexOf(task);
+
+			if (index !== -1) {
+				lane.tasks.splice(index, 1);
+				belt.length--;
+				forgetKey(belt, task);
+				checkBacklog(belt);
+
+				if (lane.tasks.length === 0) {
+					belt.lanes.splice(i, 1);
+				}
+
+				return;
+			}
+		}
+	}
+
+	/* backlogHandler
+	 *
+	 * Wraps a 'backlog' callback with its threshold and
+	 * whether it may fire (it rearms once the queue shrinks
+	 * back to the threshold).
+	 *
+	 * Required:
+	 *   [0] threshold: queue length
+	 *   [1] fn
+	 *
+	 * Returns: function (length)
+	 */
+	function backlogHandler (threshold, fn) {
+		if (typeof(threshold) !== 'number' || typeof(fn) !== 'function') {
+			throw "Use on('backlog', threshold, fn).";
+		}
+
+		var handler = function (length) {
+			return fn.call(this, length);
+		};
+
+		handler.original = fn;
+		handler.threshold = threshold;
+		handler.armed = true;
+
+		return handler;
+	}
+
+	/* checkBacklog
+	 *
+	 * Triggers the 'backlog' callbacks whose thresholds 
+	 * the queue has just grown past.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *
+	 * Returns: void
+	 */
+	function checkBacklog (belt) {
+		var handlers = belt.callbacks.backlog;
+		if (!handlers) {
+			return;
+		}
+
+		handlers.slice().forEach(function (handler) {
+			if (belt.length <= handler.threshold) {
+				handler.armed = true;
+			}
+			else if (handler.armed) {
+				handler.armed = false;
+				notify(belt, handler, [ belt.length ]);
+			}
+		});
+	}
+
+	/* record
+	 *
+	 * Adds a task run to the samples behind stats, 
+	 * overwriting the oldest once STATS_SAMPLES are kept.
+	 *
+	 * Required:
+	 *   [0] samples: belt.samples
+	 *   [1] duration: msec
+	 *   [2] wait: msec
+	 *   [3] end: timestamp
+	 *
+	 * Returns: void
+	 */
+	function record (samples, duration, wait, end) {
+		var i = samples.next;
+
+		samples.durations[i] = duration;
+		samples.waits[i] = wait;
+		samples.ends[i] = end;
+
+		samples.next = (i + 1) % STATS_SAMPLES;
+	}
+
+	// How many of the most recent task runs stats considers
+	var STATS_SAMPLES = 1000;
+
+	/* summarize
+	 *
+	 * Required:
+	 *   [0] values: array of numbers
+	 *
+	 * Returns: { mean, p50, p90, p99, max } (zeros if empty)
+	 */
+	function summarize (values) {
+		if (values.length === 0) {
+			return { mean: 0, p50: 0, p90: 0, p99: 0, max: 0 };
+		}
+
+		var sorted = values.slice().sort(function (a, b) { 
+			return a - b; 
+		});
+
+		var percentile = function (p) {
+			return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+		};
+
+		var total = sorted.reduce(function (sum, x) { 
+			return sum + x; 
+		}, 0);
+
+		return {
+			mean: total / sorted.length,
+			p50: percentile(0.5),
+			p90: percentile(0.9),
+			p99: percentile(0.99),
+			max: sorted[sorted.length - 1]
+		};
+	}
+
+	/* mark
+	 *
+	 * Records the start or end of a task run with the 
+	 * Performance API. At the end, the pair of marks 
+	 * become a measure named after the belt and task.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *   [2] edge: 'start' or 'end'
+	 *
+	 * Returns: void
+	 */
+	function mark (belt, task, edge) {
+		if (typeof(performance) === 'undefined' || !performance.mark || !performance.measure) {
+			return;
+		}
+
+		var label = belt.name + ' ' + (task.key !== undefined ? task.key : (task.fn.name || 'task')) 
+			+ ' #' + task.sequence;
+
+		performance.mark(label + ' ' + edge);
+
+		if (edge === 'end') {
+			performance.measure(label, label + ' start', label + ' end');
+			performance.clearMarks(label + ' start');
+			performance.clearMarks(label + ' end');
+		}
+	}
+
+	/* forgetKey
+	 *
+	 * Stops a task that has left the queue from 
+	 * absorbing later tasks with its key.
+	 *
+	 * Required:
+	 *   [0] belt
+	 *   [1] task
+	 *
+	 * Returns: void
+	 */
+	function forgetKey (belt, task) {
+		if (task.key !== undefined && belt.keys[task.key] === task) {
+			delete belt.keys[task.key];
+		}
+	}
+
+	/* addTimer
+	 *
+	 * Required:
+	 *   [0] clock: VirtualClock
+	 *   [1] callback
+	 *   [2] msec: delay
+	 *   [3] interval: msec between repeats, or null for none
+	 *
+	 * Returns: the timer's id
+	 */
+	function addTimer (clock, callback, msec, interval) {
+		var id = clock.nextid++;
+
+		clock.timers.push({
+			id: id,
+			callback: callback,
+			due: clock.time + Math.max(0, msec || 0),
+			interval: interval
+		});
+
+		return id;
+	}
+
+	/* nextTimer
+	 *
+	 * Required:
+	 *   [0] clock: VirtualClock
+	 *
+	 * Returns: the timer to fire next (the earliest due, 
+	 *   and of those, the earliest set), or null
+	 */
+	function nextTimer (clock) {
+		var next = null;
+
+		clock.timers.forEach(function (timer) {
+			if (!next || timer.due < next.due 
+				|| (timer.due === next.due && timer.id < next.id)) {
+				next = timer;
+			}
+		});
+
+		return next;
+	}
+
+	/* fire
+	 *
+	 * Moves a VirtualClock to when a timer is due (unless it's 
+	 * already past it) and calls the timer back, setting up 
+	 * its next repeat or discarding it.
+	 *
+	 * Required:
+	 *   [0] clock: VirtualClock
+	 *   [1] timer
+	 *
+	 * Returns: void
+	 */
+	function fire (clock, timer) {
+		clock.time = Math.max(clock.time, timer.due);
+
+		if (timer.interval === null) {
+			clock.clearTimeout(timer.id);
+		}
+		else {
+			timer.due = clock.time + timer.interval;
+		}
+
+		timer.callback();
+	}
+
+	// How many timers VirtualClock.prototype.runAll 
+	// fires by default before deciding it never ends
+	var RUN_ALL_LIMIT = 100000;
+
+	/* now
+	 *
+	 * Required:
+	 *   [0] owner: a belt or scheduler
+	 *
+	 * Returns: current time in msec on the owner's clock
+	 */
+	function now (owner) {
+		return owner.clock.now();
+	}
 })();
 
 /* The MIT License (MIT)
@@ -0,0 +1,172 @@
+/* ColorUtils.buffer.bench.js
+ *
+ * Checks that ColorUtils.buffer.convert agrees with the per pixel
+ * path (ColorUtils.convert), then times both on a 1024x1024 tile,
+ * and on one of wide gamut OKLCh colors that have to be gamut 
+ * mapped into sRGB.
+ *
+ * Run: node test/ColorUtils.buffer.bench.js
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+vm.runInThisContext(
+	fs.readFileSync(path.join(__dirname, '../js/ColorUtils.js'), 'utf8'),
+	{ filename: 'ColorUtils.js' }
+);
+
+var SIDE = 1024;
+var TOLERANCE = 1e-3;
+
+var CONVERSIONS = [
+	[ 'rgb', 'hsv' ],
+	[ 'rgb', 'hsl' ],
+	[ 'rgb', 'oklab' ],
+	[ 'rgb', 'lab' ],
+	[ 'rgb', 'oklch' ]
+];
+
+/* random
+ *
+ * A small seeded generator (mulberry32) so every
+ * run converts the same pixels.
+ */
+function random (seed) {
+	return function () {
+		seed = (seed + 0x6d2b79f5) | 0;
+		var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function tile (side, next) {
+	var data = new Uint8ClampedArray(side * side * 4);
+	for (var i = 0; i < data.length; i++) {
+		data[i] = Math.floor(next() * 256);
+	}
+
+	return data;
+}
+
+// OKLCh colors, most of them outside of sRGB
+function wideTile (side, next) {
+	var data = new Float32Array(side * side * 4);
+	for (var i = 0; i < data.length; i += 4) {
+		data[i] = next();
+		data[i + 1] = next() * 0.4;
+		data[i + 2] = next() * 360;
+		data[i + 3] = 1;
+	}
+
+	return data;
+}
+
+// The object form's keys in buffer order
+var CHANNELS = {
+	rgb: [ 'r', 'g', 'b' ],
+	hsv: [ 'h', 's', 'v' ],
+	hsl: [ 'h', 's', 'l' ],
+	lab: [ 'l', 'a', 'b' ],
+	oklab: [ 'l', 'a', 'b' ],
+	oklch: [ 'l', 'c', 'h' ]
+};
+
+function scalarConvert (source, from, to, output) {
+	var inkeys = CHANNELS[from];
+	var outkeys = CHANNELS[to];
+
+	for (var i = 0; i < source.length; i += 4) {
+		var color = { space: from };
+		color[inkeys[0]] = source[i];
+		color[inkeys[1]] = source[i + 1];
+		color[inkeys[2]] = source[i + 2];
+
+		color = ColorUtils.convert(color, to);
+		output[i] = color[outkeys[0]];
+		output[i + 1] = color[outkeys[1]];
+		output[i + 2] = color[outkeys[2]];
+		output[i + 3] = source[i + 3];
+	}
+
+	return output;
+}
+
+function time (fn) {
+	var start = process.hrtime.bigint();
+	fn();
+	return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function assertClose (actual, expected, message) {
+	// Hues of achromatic colors are arbitrary
+	if (isNaN(expected) || isNaN(actual)) {
+		return;
+	}
+
+	assert.ok(
+		Math.abs(actual - expected) <= TOLERANCE * Math.max(1, Math.abs(expected)),
+		message + ': ' + actual + ' != ' + expected
+	);
+}
+
+/* Agreement */
+
+(function () {
+	var source = tile(64, random(1));
+
+	CONVERSIONS.forEach(function (conversion) {
+		var from = conversion[0], to = conversion[1];
+		var batch = ColorUtils.buffer.convert(source, from, to, new Float32Array(source.length));
+		var scalar = scalarConvert(source, from, to, new Float32Array(source.length));
+
+		for (var i = 0; i < batch.length; i++) {
+			assertClose(batch[i], scalar[i], from + ' => ' + to + ' [' + i + ']');
+		}
+	});
+
+	// Out of sRGB colors are gamut mapped the same way by both
+	var wide = wideTile(64, random(2));
+	var batch = ColorUtils.buffer.convert(wide, 'oklch', 'rgb', new Float32Array(wide.length));
+	var scalar = scalarConvert(wide, 'oklch', 'rgb', new Float32Array(wide.length));
+
+	for (var i = 0; i < batch.length; i++) {
+		assertClose(batch[i], scalar[i], 'oklch => rgb [' + i + ']');
+	}
+
+	console.log('ok - buffer.convert agrees with ColorUtils.convert');
+})();
+
+/* Benchmark */
+
+(function () {
+	var source = tile(SIDE, random(3));
+	var wide = wideTile(SIDE, random(4));
+	var output = new Float32Array(source.length);
+
+	console.log('\n' + SIDE + 'x' + SIDE + ' tile, msec');
+	console.log('conversion      per pixel    buffer   speedup');
+
+	CONVERSIONS.concat([ [ 'oklch', 'rgb', wide ] ]).forEach(function (conversion) {
+		var from = conversion[0], to = conversion[1];
+		var input = conversion[2] || source;
+
+		var scalar = time(function () {
+			scalarConvert(input, from, to, output);
+		});
+		var batch = time(function () {
+			ColorUtils.buffer.convert(input, from, to, output);
+		});
+
+		var label = (from + ' => ' + to + '               ').slice(0, 14);
+		console.log(
+			label
+			+ ('          ' + scalar.toFixed(0)).slice(-11)
+			+ ('          ' + batch.toFixed(0)).slice(-10)
+			+ ('          ' + (scalar / batch).toFixed(1) + 'x').slice(-10)
+		);
+	});
+})();
@@ -0,0 +1,161 @@
+/* ColorUtils.format.test.js
+ *
+ * Property based checks of ColorUtils.format: for random colors
+ * and every format, parse(format(color)) recovers the color and
+ * formatting the output again changes nothing.
+ *
+ * Run: node test/ColorUtils.format.test.js
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+vm.runInThisContext(
+	fs.readFileSync(path.join(__dirname, '../js/ColorUtils.js'), 'utf8'),
+	{ filename: 'ColorUtils.js' }
+);
+
+var SAMPLES = 2000;
+
+var FORMATS = [
+	'hex', 'hex-short', 'hex8',
+	'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch',
+	'display-p3', 'rec2020', 'srgb', 'srgb-linear', 'xyz'
+];
+
+// Largest error allowed per rgb channel [0, 255] and for alpha [0, 1].
+// Hex rounds channels to integers, everything else keeps decimals
+// but still loses up to ~0.08 in the darkest channels, where sRGB 
+// is steepest (e.g. through xyz or oklab).
+var TOLERANCE = {
+	hex: { channel: 0.5, alpha: 0.5 / 255 },
+	other: { channel: 0.1, alpha: 0.0005 }
+};
+
+/* random
+ *
+ * A small seeded generator (mulberry32) so
+ * failures can be reproduced.
+ */
+function random (seed) {
+	return function () {
+		seed = (seed + 0x6d2b79f5) | 0;
+		var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/* colors
+ *
+ * Half of the colors have integer channels, as most
+ * colors in the wild do, and half are opaque.
+ */
+function colors (count, next) {
+	var list = [];
+
+	for (var i = 0; i < count; i++) {
+		var integer = next() < 0.5;
+		var channel = function () {
+			return integer ? Math.floor(next() * 256) : next() * 255;
+		};
+
+		var color = { r: channel(), g: channel(), b: channel() };
+		if (next() < 0.5) {
+			color.a = next();
+		}
+
+		list.push(color);
+	}
+
+	// and the corners of the cube
+	[ 0, 255 ].forEach(function (r) {
+		[ 0, 255 ].forEach(function (g) {
+			[ 0, 255 ].forEach(function (b) {
+				list.push({ r: r, g: g, b: b });
+			});
+		});
+	});
+
+	return list;
+}
+
+function describe (color) {
+	return JSON.stringify(color);
+}
+
+/* assertClose
+ *
+ * Required:
+ *   [0] expected: { r, g, b, a } (a is optional)
+ *   [1] actual: { r, g, b, a }
+ *   [2] tolerance: { channel, alpha }
+ *   [3] message
+ */
+function assertClose (expected, actual, tolerance, message) {
+	[ 'r', 'g', 'b' ].forEach(function (channel) {
+		assert.ok(
+			Math.abs(actual[channel] - expected[channel]) <= tolerance.channel,
+			message + ' => ' + describe(actual)
+		);
+	});
+
+	var alpha = (expected.a === undefined) ? 1 : expected.a;
+	assert.ok(
+		Math.abs(actual.a - alpha) <= tolerance.alpha,
+		message + ' => alpha ' + actual.a
+	);
+}
+
+var failures = 0;
+
+function check (name, fn) {
+	try {
+		fn();
+		console.log('ok - ' + name);
+	}
+	catch (error) {
+		failures++;
+		console.log('not ok - ' + name);
+		console.log('  ' + error.message.split('\n').join('\n  '));
+	}
+}
+
+var samples = colors(SAMPLES, random(12));
+
+FORMATS.forEach(function (format) {
+	var tolerance = (format.indexOf('hex') === 0) ? TOLERANCE.hex : TOLERANCE.other;
+
+	check(format + ' round trips through parse', function () {
+		samples.forEach(function (color) {
+			var css = ColorUtils.format(color, { format: format });
+			assertClose(color, ColorUtils.parse(css), tolerance, describe(color) + ' => ' + css);
+		});
+	});
+
+	check(format + ' is idempotent', function () {
+		samples.forEach(function (color) {
+			var css = ColorUtils.format(color, { format: format });
+			assert.strictEqual(ColorUtils.format(css, { format: format }), css, describe(color));
+		});
+	});
+});
+
+check('precision and alpha options round trip', function () {
+	samples.forEach(function (color) {
+		var options = { format: 'oklch', precision: 6, alpha: true };
+		var css = ColorUtils.format(color, options);
+		assert.strictEqual(ColorUtils.format(css, options), css);
+		assert.ok(css.indexOf(' / ') !== -1, css + ' has alpha');
+
+		var opaque = ColorUtils.format(color, { format: 'rgb', alpha: false });
+		assert.strictEqual(ColorUtils.parse(opaque).a, 1, opaque);
+	});
+});
+
+if (failures) {
+	console.log('\n' + failures + ' failed');
+	process.exit(1);
+}
@@ -0,0 +1,449 @@
+/* ConveyorBelt.test.js
+ *
+ * Drives belts with a ConveyorBelt.VirtualClock so that what
+ * runs, and when, is the same on every run.
+ *
+ * Run: node test/ConveyorBelt.test.js
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+vm.runInThisContext(
+	fs.readFileSync(path.join(__dirname, '../js/ConveyorBelt.js'), 'utf8'),
+	{ filename: 'ConveyorBelt.js' }
+);
+
+var failures = 0;
+
+function check (name, fn) {
+	try {
+		fn();
+		console.log('ok - ' + name);
+	}
+	catch (error) {
+		failures++;
+		console.log('not ok - ' + name);
+		console.log('  ' + String(error.message || error).split('\n').join('\n  '));
+	}
+}
+
+/* named
+ *
+ * A task that does nothing, labelled so
+ * the history can be read back.
+ */
+function named (name) {
+	var fn = function () {};
+	fn.label = name;
+	return fn;
+}
+
+/* ran
+ *
+ * Returns: [ 'time:label', ... ] for every task run so far
+ */
+function ran (clock) {
+	return clock.history.map(function (entry) {
+		return entry.time + ':' + entry.task.fn.label;
+	});
+}
+
+function belt (clock, args) {
+	args.clock = clock;
+	return new ConveyorBelt.ConveyorBelt(args);
+}
+
+check('the header example: b at 35, a at 70', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 35 });
+
+	conveyor.add(named('a'));
+	conveyor.add(named('b'));
+
+	clock.tick(35);
+	assert.deepStrictEqual(ran(clock), [ '35:b' ]);
+
+	clock.runAll();
+	assert.deepStrictEqual(ran(clock), [ '35:b', '70:a' ]);
+	assert.strictEqual(conveyor.length, 0);
+	assert.strictEqual(clock.timers.length, 0, 'the interval stops once the queue is empty');
+});
+
+check('fifo runs the earliest first, one task per interval', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10, order: 'fifo' });
+
+	[ 'a', 'b', 'c' ].forEach(function (label) {
+		conveyor.add(named(label));
+	});
+
+	clock.tick(25);
+	assert.deepStrictEqual(ran(clock), [ '10:a', '20:b' ]);
+
+	clock.runAll();
+	assert.deepStrictEqual(ran(clock), [ '10:a', '20:b', '30:c' ]);
+});
+
+check('start begins where the clock is', function () {
+	var clock = new ConveyorBelt.VirtualClock(1000);
+	var conveyor = belt(clock, { speed: 10 });
+
+	conveyor.stop();
+	conveyor.add(named('a'));
+	clock.tick(500);
+
+	conveyor.start();
+	clock.runAll();
+
+	assert.deepStrictEqual(ran(clock), [ '1510:a' ]);
+});
+
+check('start can change the speed', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10, order: 'fifo' });
+
+	conveyor.add(named('a'));
+	conveyor.add(named('b'));
+	clock.tick(10);
+
+	conveyor.start(50);
+	clock.runAll();
+
+	assert.deepStrictEqual(ran(clock), [ '10:a', '60:b' ]);
+});
+
+check('stop halts the belt until started again', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10, order: 'fifo' });
+
+	[ 'a', 'b', 'c' ].forEach(function (label) {
+		conveyor.add(named(label));
+	});
+
+	clock.tick(10);
+	conveyor.stop();
+
+	assert.strictEqual(clock.timers.length, 0);
+
+	clock.tick(1000);
+	assert.deepStrictEqual(ran(clock), [ '10:a' ]);
+	assert.strictEqual(conveyor.length, 2);
+
+	// adding to a stopped belt doesn't start it
+	conveyor.add(named('d'));
+	clock.tick(1000);
+	assert.strictEqual(clock.history.length, 1);
+
+	conveyor.start();
+	clock.runAll();
+	assert.deepStrictEqual(ran(clock), [ '10:a', '2020:b', '2030:c', '2040:d' ]);
+});
+
+check('flush cancels the tasks that would run last', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10, order: 'fifo' });
+
+	var tasks = [ 'a', 'b', 'c', 'd' ].map(function (label) {
+		return conveyor.add(named(label));
+	});
+
+	conveyor.flush(2);
+
+	assert.strictEqual(conveyor.length, 2);
+	assert.deepStrictEqual(tasks.map(function (task) { return task.status; }),
+		[ 'queued', 'queued', 'cancelled', 'cancelled' ]);
+
+	clock.runAll();
+	assert.deepStrictEqual(ran(clock), [ '10:a', '20:b' ]);
+});
+
+check('flush on a lifo belt takes the oldest', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10 });
+
+	[ 'a', 'b', 'c' ].forEach(function (label) {
+		conveyor.add(named(label));
+	});
+
+	conveyor.flush(1);
+	clock.runAll();
+
+	assert.deepStrictEqual(ran(clock), [ '10:c', '20:b' ]);
+});
+
+check('flush empties the belt and stops its timer', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10 });
+
+	conveyor.add(named('a'));
+	conveyor.add(named('b'));
+	conveyor.flush();
+
+	assert.strictEqual(conveyor.length, 0);
+
+	clock.runAll();
+	assert.strictEqual(clock.history.length, 0);
+	assert.strictEqual(clock.timers.length, 0);
+});
+
+check('queue lists the queued functions, next to run last', function () {
+	[ 'lifo', 'fifo' ].forEach(function (order) {
+		var clock = new ConveyorBelt.VirtualClock();
+		var conveyor = belt(clock, { speed: 10, order: order });
+
+		var a = named('a'), b = named('b'), c = named('c');
+		conveyor.add(a);
+		conveyor.add(b);
+		conveyor.add(c, { priority: 1 });
+
+		var expected = (order === 'fifo') ? [ b, a, c ] : [ a, b, c ];
+		assert.deepStrictEqual(conveyor.queue, expected, order);
+		assert.strictEqual(conveyor.queue.length, conveyor.length);
+
+		clock.runAll();
+		assert.deepStrictEqual(conveyor.queue, []);
+	});
+});
+
+check('burn runs tasks on the spot without waiting for the timer', function () {
+	var clock = new ConveyorBelt.VirtualClock(5);
+	var conveyor = belt(clock, { speed: 10, order: 'fifo' });
+
+	[ 'a', 'b', 'c', 'd' ].forEach(function (label) {
+		conveyor.add(named(label));
+	});
+
+	conveyor.burn(2);
+	assert.deepStrictEqual(ran(clock), [ '5:a', '5:b' ]);
+
+	conveyor.burn();
+	assert.deepStrictEqual(ran(clock), [ '5:a', '5:b', '5:c', '5:d' ]);
+	assert.strictEqual(conveyor.length, 0);
+
+	clock.runAll();
+	assert.strictEqual(clock.history.length, 4);
+});
+
+check('burn works on a stopped belt', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10 });
+
+	conveyor.stop();
+	conveyor.add(named('a'));
+	conveyor.burn();
+
+	assert.deepStrictEqual(ran(clock), [ '0:a' ]);
+});
+
+check('burn finishes generators', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10 });
+	var steps = 0;
+
+	var task = conveyor.add(function* () {
+		steps++;
+		yield;
+		steps++;
+		yield;
+		steps++;
+	});
+
+	conveyor.burn();
+
+	assert.strictEqual(steps, 3);
+	assert.strictEqual(task.status, 'done');
+	assert.strictEqual(clock.history.length, 3);
+});
+
+check("'immediate' runs tasks as they are added", function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 'immediate' });
+
+	var task = conveyor.add(named('a'));
+	assert.strictEqual(task.status, 'done');
+	assert.deepStrictEqual(ran(clock), [ '0:a' ]);
+
+	clock.tick(100);
+	conveyor.add(named('b'));
+	assert.deepStrictEqual(ran(clock), [ '0:a', '100:b' ]);
+
+	assert.strictEqual(clock.timers.length, 0, "'immediate' never sets a timer");
+	assert.strictEqual(conveyor.length, 0);
+});
+
+check("'immediate' belts queue while stopped and burn when started", function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 'immediate' });
+
+	conveyor.stop();
+	conveyor.add(named('a'));
+	conveyor.add(named('b'));
+
+	assert.strictEqual(conveyor.length, 2);
+	assert.strictEqual(clock.history.length, 0);
+
+	clock.tick(20);
+	conveyor.start();
+
+	assert.deepStrictEqual(ran(clock), [ '20:b', '20:a' ]);
+});
+
+check("switching to 'immediate' burns what's queued", function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 1000, order: 'fifo' });
+
+	conveyor.add(named('a'));
+	conveyor.add(named('b'));
+	clock.tick(10);
+
+	conveyor.start('immediate');
+
+	assert.deepStrictEqual(ran(clock), [ '10:a', '10:b' ]);
+	assert.strictEqual(clock.timers.length, 0);
+});
+
+check("'frame' runs as many tasks as fit in its budget", function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 'frame', budget: 8, order: 'fifo' });
+
+	for (var i = 0; i < 7; i++) {
+		conveyor.add(function () {
+			clock.advance(3);
+		});
+	}
+
+	clock.runAll();
+
+	var times = clock.history.map(function (entry) {
+		return entry.time;
+	});
+
+	// 3 msec tasks, 8 msec per 16 msec step
+	assert.deepStrictEqual(times, [ 16, 19, 22, 41, 44, 47, 66 ]);
+});
+
+check('aging runs a long waiting task on a lifo belt', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10, aging: 1000 });
+
+	// Twice as much work arrives as the belt can do
+	function more () {
+		conveyor.add(named('urgent'), { priority: 1 });
+		conveyor.add(named('newer'));
+	}
+
+	var first = conveyor.add(named('first'));
+	more();
+	clock.setInterval(more, 10);
+
+	clock.tick(5000);
+
+	var runs = ran(clock).filter(function (entry) {
+		return /:first$/.test(entry);
+	});
+
+	// Soon after it has waited 1000 msec
+	assert.deepStrictEqual(runs, [ '1020:first' ]);
+	assert.strictEqual(first.status, 'done');
+});
+
+check('failed tasks are retried after their backoff', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10, attempts: 3, backoff: 100 });
+	var tries = 0;
+
+	conveyor.on('error', function () {});
+
+	var task = conveyor.add(function () {
+		tries++;
+		if (tries < 3) {
+			throw 'not yet';
+		}
+	});
+
+	clock.runAll();
+
+	var times = clock.history.map(function (entry) {
+		return entry.time;
+	});
+
+	assert.deepStrictEqual(times, [ 10, 120, 330 ]);
+	assert.strictEqual(task.status, 'done');
+});
+
+check('keys named after Object.prototype coalesce like any other', function () {
+	[ 'hasOwnProperty', '__proto__', 'constructor', 'toString' ].forEach(function (key) {
+		var clock = new ConveyorBelt.VirtualClock();
+		var conveyor = belt(clock, { speed: 10 });
+
+		var first = conveyor.add(named('a'), { key: key });
+		var second = conveyor.add(named('b'), { key: key });
+		conveyor.add(named('c'), { key: 'other' });
+
+		assert.strictEqual(second, first, key);
+		assert.strictEqual(conveyor.coalesced, 1, key);
+		assert.strictEqual(conveyor.length, 2, key);
+
+		clock.runAll();
+		assert.deepStrictEqual(ran(clock), [ '10:c', '20:b' ], key);
+	});
+});
+
+check('runAll gives up on timers that never end', function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	clock.setInterval(function () {}, 10);
+
+	assert.throws(function () {
+		clock.runAll(50);
+	});
+});
+
+/* Promises settle after the current tick, so these go last */
+
+var pending = [];
+
+pending.push(function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10 });
+
+	var task = conveyor.add(named('a'));
+	conveyor.flush();
+
+	return task.then(function () {
+		throw new Error('a flushed task resolved');
+	}, function (error) {
+		assert.strictEqual(error.name, 'CancelError');
+		console.log('ok - flushed tasks reject with a CancelError');
+	});
+});
+
+pending.push(function () {
+	var clock = new ConveyorBelt.VirtualClock();
+	var conveyor = belt(clock, { speed: 10 });
+
+	var task = conveyor.add(function () {
+		return 42;
+	});
+
+	clock.runAll();
+
+	return task.then(function (value) {
+		assert.strictEqual(value, 42);
+		console.log('ok - tasks resolve with their result');
+	});
+});
+
+pending.reduce(function (previous, test) {
+	return previous.then(test).then(null, function (error) {
+		failures++;
+		console.log('not ok - ' + error.message);
+	});
+}, Promise.resolve()).then(function () {
+	if (failures) {
+		console.log('\n' + failures + ' failed');
+		process.exit(1);
+	}
+});